@@ -104,13 +104,40 @@ class DecideActionNode extends FlowFramework.AsyncNode {
     super(maxRetries, wait);
   }
 
+  /**
+   * Shared keys this node reads, checked by flow.validate() and enforced in strict-state flows.
+   * @type {object}
+   */
+  static get reads() {
+    return {
+      question: { type: 'string' },
+      context: { type: 'string' },
+      llmConfig: { type: 'object' },
+      apiServices: { type: 'object' },
+      searchAttempts: { type: 'integer' },
+      maxSearchAttempts: { type: 'integer' },
+    };
+  }
+
+  /**
+   * Shared keys this node writes.
+   * @type {object}
+   */
+  static get writes() {
+    return {
+      search_query: { type: 'string' },
+      context: { type: 'string' },
+      final_answer_from_decision: true,
+      currentStepKey: { type: 'string' },
+    };
+  }
+
   /**
    * Prepares input for the LLM decision.
    * @param {object} shared - The shared context object.
    * @returns {Promise<object>} Resolves with question and context.
    */
   async prepAsync(shared) {
-    UIManager.updateProgressStepper('DECIDING');
     UIManager.addLogEntry({ type: 'STATUS_MESSAGE', content: 'Agent is deciding the next action...' });
     
     let maxAttempts = 3; // Default
@@ -137,9 +164,10 @@ class DecideActionNode extends FlowFramework.AsyncNode {
    * @param {object} prepRes.apiServices - API services instance.
    * @param {number} prepRes.searchAttempts - Current number of search attempts.
    * @param {number} prepRes.maxSearchAttempts - Maximum allowed search attempts.
+   * @param {AbortSignal} signal - Aborts when the attempt times out or the run is cancelled.
    * @returns {Promise<object|null>} Resolves with the parsed decision object or null on error.
    */
-  async execAsync({ question, context, llmConfig, apiServices, searchAttempts, maxSearchAttempts }) {
+  async execAsync({ question, context, llmConfig, apiServices, searchAttempts, maxSearchAttempts }, signal) {
     const currentTime = new Date().toLocaleString();
 
     if (searchAttempts >= maxSearchAttempts) {
@@ -226,6 +254,7 @@ IMPORTANT:
         apiKey: llmConfig.apiKey,
         model: llmConfig.model,
         messages: [{ role: 'user', content: prompt }],
+        signal,
       });
       const decision = parseLLMDecision(responseText);
       if (!decision || !decision.action) {
@@ -235,7 +264,6 @@ IMPORTANT:
     } catch (error) {
       console.error('Error in DecideActionNode execAsync:', error);
       UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: `Error deciding action: ${error.message}` });
-      UIManager.updateProgressStepper('ERROR');
       throw error; 
     }
   }
@@ -245,13 +273,12 @@ IMPORTANT:
    * @param {object} shared - The shared context object.
    * @param {object} prepRes - Result from prepAsync.
    * @param {object} execRes - The parsed decision from execAsync.
-   * @returns {Promise<string|null>} Resolves with the action ('search', 'answer') or null if error.
+   * @returns {Promise<string>} Resolves with the action ('search' or 'answer').
+   * @throws {Error} If the decision cannot be acted on; the flow routes it to its error handler.
    */
   async postAsync(shared, prepRes, execRes) {
     if (!execRes || !execRes.action) {
-      UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: 'LLM decision was invalid or could not be parsed.' });
-      shared.currentStepKey = 'ERROR';
-      return 'ERROR'; // Or a specific error action if your flow handles it
+      throw new Error('LLM decision was invalid or could not be parsed.');
     }
 
     UIManager.addLogEntry({
@@ -265,9 +292,7 @@ IMPORTANT:
 
     if (execRes.action === 'search') {
       if (!execRes.search_query) {
-         UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: 'LLM decided to search but provided no query.' });
-         shared.currentStepKey = 'ERROR';
-         return 'ERROR';
+        throw new Error('LLM decided to search but provided no query.');
       }
       shared.search_query = execRes.search_query;
       shared.currentStepKey = 'SEARCHING';
@@ -284,9 +309,7 @@ IMPORTANT:
       shared.currentStepKey = 'ANSWERING'; // Or 'DONE' if we consider this the final answer
       return 'answer';
     } else {
-      UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: `Unknown action from LLM: ${execRes.action}` });
-      shared.currentStepKey = 'ERROR';
-      return 'ERROR';
+      throw new Error(`Unknown action from LLM: ${execRes.action}`);
     }
   }
 }
@@ -301,13 +324,37 @@ class SearchWebNode extends FlowFramework.AsyncNode {
     super(maxRetries, wait);
   }
 
+  /**
+   * Shared keys this node reads.
+   * @type {object}
+   */
+  static get reads() {
+    return {
+      search_query: { type: 'string' },
+      apiServices: { type: 'object' },
+      context: true,
+      searchAttempts: true,
+    };
+  }
+
+  /**
+   * Shared keys this node writes.
+   * @type {object}
+   */
+  static get writes() {
+    return {
+      context: { type: 'string' },
+      searchAttempts: { type: 'integer' },
+      currentStepKey: { type: 'string' },
+    };
+  }
+
   /**
    * Prepares the search query.
    * @param {object} shared - The shared context object.
    * @returns {Promise<object>} Resolves with search query, API key, and services.
    */
   async prepAsync(shared) {
-    UIManager.updateProgressStepper('SEARCHING');
     UIManager.addLogEntry({ type: 'AGENT_SEARCH', query: shared.search_query });
     return {
       search_query: shared.search_query,
@@ -321,19 +368,20 @@ class SearchWebNode extends FlowFramework.AsyncNode {
    * @param {object} prepRes - Result from prepAsync.
    * @param {string} prepRes.search_query - The query to search for.
    * @param {object} prepRes.apiServices - API services instance.
+   * @param {AbortSignal} signal - Aborts when the attempt times out or the run is cancelled.
    * @returns {Promise<string>} Resolves with formatted search results.
    */
-  async execAsync({ search_query, apiServices }) { // braveApiKey removed from parameters
+  async execAsync({ search_query, apiServices }, signal) { // braveApiKey removed from parameters
     try {
       const results = await apiServices.searchBrave({
         // apiKey: braveApiKey, // No longer sent from client
         query: search_query,
+        signal,
       });
       return results;
     } catch (error) {
       console.error('Error in SearchWebNode execAsync:', error);
       UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: `Error during web search: ${error.message}` });
-      UIManager.updateProgressStepper('ERROR');
       // shared.currentStepKey = 'ERROR'; // Removed: This should be handled by the calling flow orchestrator
       throw error;
     }
@@ -365,13 +413,37 @@ class AnswerQuestionNode extends FlowFramework.AsyncNode {
     super(maxRetries, wait);
   }
 
+  /**
+   * Shared keys this node reads.
+   * @type {object}
+   */
+  static get reads() {
+    return {
+      question: { type: 'string' },
+      context: true,
+      final_answer_from_decision: true,
+      llmConfig: { type: 'object' },
+      apiServices: { type: 'object' },
+    };
+  }
+
+  /**
+   * Shared keys this node writes.
+   * @type {object}
+   */
+  static get writes() {
+    return {
+      answer: true,
+      currentStepKey: { type: 'string' },
+    };
+  }
+
   /**
    * Prepares question and context for the LLM.
    * @param {object} shared - The shared context object.
    * @returns {Promise<object>} Resolves with question, context, LLM config, and services.
    */
   async prepAsync(shared) {
-    UIManager.updateProgressStepper('ANSWERING');
     UIManager.addLogEntry({ type: 'STATUS_MESSAGE', content: 'Agent is formulating the final answer...' });
     const isFinalAnswerAlreadyDecided = !!shared.final_answer_from_decision;
     return {
@@ -391,9 +463,12 @@ class AnswerQuestionNode extends FlowFramework.AsyncNode {
    * @param {object} prepRes.llmConfig - LLM configuration.
    * @param {object} prepRes.apiServices - API services instance.
    * @param {boolean} prepRes.isFinalAnswerAlreadyDecided - Flag indicating if context is already the final answer.
+   * @param {AbortSignal} signal - Aborts when the attempt times out or the run is cancelled.
+   * @param {number|null} deadline - Deadline of the attempt (unused).
+   * @param {function(string): void} emit - Publishes each token of the answer as a 'node:chunk' event.
    * @returns {Promise<string>} Resolves with the final answer.
    */
-  async execAsync({ question, context, llmConfig, apiServices, isFinalAnswerAlreadyDecided }) {
+  async execAsync({ question, context, llmConfig, apiServices, isFinalAnswerAlreadyDecided }, signal, deadline, emit) {
     // If context already IS the answer (from DecideActionNode), just return it.
     if (isFinalAnswerAlreadyDecided) {
         return context; // This context is the final answer from DecideActionNode
@@ -421,12 +496,13 @@ Provide the final answer below.
         apiKey: llmConfig.apiKey,
         model: llmConfig.model,
         messages: [{ role: 'user', content: prompt }],
+        signal,
+        onToken: emit, // Stream the answer to the UI while it is being written
       });
       return answer;
     } catch (error) {
       console.error('Error in AnswerQuestionNode execAsync:', error);
       UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: `Error generating answer: ${error.message}` });
-      UIManager.updateProgressStepper('ERROR');
       throw error;
     }
   }
@@ -442,15 +518,62 @@ Provide the final answer below.
     UIManager.addLogEntry({ type: 'AGENT_ANSWER', answer: execRes });
     shared.answer = execRes;
     shared.currentStepKey = 'DONE';
-    UIManager.updateProgressStepper('DONE');
     return 'done';
   }
 }
 
+/**
+ * @class ReportErrorNode
+ * @extends FlowFramework.AsyncNode
+ * @description The flow's error handler: reports the failure the flow recorded in `shared.error` and ends the run.
+ */
+class ReportErrorNode extends FlowFramework.AsyncNode {
+  /**
+   * Shared keys this node reads.
+   * @type {object}
+   */
+  static get reads() {
+    return {
+      error: { type: 'object' },
+    };
+  }
+
+  /**
+   * Shared keys this node writes.
+   * @type {object}
+   */
+  static get writes() {
+    return {
+      currentStepKey: { type: 'string' },
+    };
+  }
+
+  /**
+   * Reads the failure recorded by the flow.
+   * @param {object} shared - The shared context object.
+   * @returns {Promise<object>} Resolves with the failed node's name and the error message.
+   */
+  async prepAsync(shared) {
+    return shared.error;
+  }
+
+  /**
+   * Logs the failure and marks the run as failed.
+   * @param {object} shared - The shared context object.
+   * @param {object} failure - The failure from prepAsync.
+   * @returns {Promise<undefined>} Resolves once the failure is reported; the flow ends here.
+   */
+  async postAsync(shared, failure) {
+    UIManager.addLogEntry({ type: 'ERROR_MESSAGE', content: `The agent stopped at '${failure.node}': ${failure.message}` });
+    shared.currentStepKey = 'ERROR';
+  }
+}
+
 // Expose to global scope if not using modules
 if (typeof window !== 'undefined') {
   window.DecideActionNode = DecideActionNode;
   window.SearchWebNode = SearchWebNode;
   window.AnswerQuestionNode = AnswerQuestionNode;
+  window.ReportErrorNode = ReportErrorNode;
   window.parseLLMDecision = parseLLMDecision;
 }
@@ -16,6 +16,8 @@ const ApiServices = (() => {
    * @param {string} params.apiKey - The API key for the LLM.
    * @param {string} params.model - The LLM model to use (e.g., 'openai/gpt-4o').
    * @param {Array<object>} params.messages - The array of message objects for the chat completion.
+   * @param {AbortSignal} [params.signal] - Signal that aborts the request.
+   * @param {function(string): void} [params.onToken] - If given, the completion is streamed and each piece of text is passed to it as it arrives.
    * @returns {Promise<string>} A promise that resolves to the LLM's response message content.
    * @throws {Error} If the API call fails or returns a non-OK status.
    * @example
@@ -27,7 +29,7 @@ const ApiServices = (() => {
    * }).then(response => console.log(response))
    *   .catch(error => console.error(error));
    */
-  async function callLLM({ baseUrl, apiKey, model, messages }) {
+  async function callLLM({ baseUrl, apiKey, model, messages, signal, onToken }) {
     if (!baseUrl || !apiKey || !model || !messages) {
       throw new Error('Missing required parameters for LLM call.');
     }
@@ -44,12 +46,21 @@ const ApiServices = (() => {
         body: JSON.stringify({
           model: model,
           messages: messages,
+          stream: Boolean(onToken),
         }),
+        signal,
       });
 
       if (!response.ok) {
         const errorBody = await response.text();
-        throw new Error(`LLM API request failed with status ${response.status}: ${errorBody}`);
+        const error = new Error(`LLM API request failed with status ${response.status}: ${errorBody}`);
+        error.status = response.status; // Lets the retry policy skip errors such as 401
+        error.headers = response.headers; // Carries Retry-After on 429/503
+        throw error;
+      }
+
+      if (onToken) {
+        return await readCompletionStream(response, onToken);
       }
 
       const data = await response.json();
@@ -64,11 +75,50 @@ const ApiServices = (() => {
     }
   }
 
+  /**
+   * Reads a streamed chat completion (server-sent events) and passes each content delta to onToken.
+   * @memberof ApiServices
+   * @param {Response} response - The fetch response of a request made with `stream: true`.
+   * @param {function(string): void} onToken - Receives each piece of text as it arrives.
+   * @returns {Promise<string>} A promise that resolves to the complete message content.
+   * @private
+   */
+  async function readCompletionStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // Keep the incomplete last line for the next read
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue; // Skip comments and keep-alives
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return content;
+
+        const data = JSON.parse(payload);
+        const delta = data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+      }
+    }
+    return content;
+  }
+
   /**
    * Searches the web using the local Brave Search CORS Proxy.
    * @memberof ApiServices
    * @param {object} params - Parameters for the search call.
    * @param {string} params.query - The search query.
+   * @param {AbortSignal} [params.signal] - Signal that aborts the request.
    * @returns {Promise<string>} A promise that resolves to a formatted string of search results.
    * @throws {Error} If the API call fails or returns a non-OK status.
    * @example
@@ -77,7 +127,7 @@ const ApiServices = (() => {
    * }).then(results => console.log(results))
    *   .catch(error => console.error(error));
    */
-  async function searchBrave({ query }) { // apiKey parameter removed
+  async function searchBrave({ query, signal }) { // apiKey parameter removed
     if (!query) {
       throw new Error('Missing required query parameter for Brave Search call via proxy.');
     }
@@ -100,7 +150,7 @@ const ApiServices = (() => {
     };
 
     try {
-      const response = await fetch(proxyUrl, { headers });
+      const response = await fetch(proxyUrl, { headers, signal });
 
       if (!response.ok) {
         let errorBody = 'Could not retrieve error details.';
@@ -109,7 +159,10 @@ const ApiServices = (() => {
         } catch (e) {
             // ignore if can't read body
         }
-        throw new Error(`Brave Search (via proxy) request failed with status ${response.status}: ${errorBody}`);
+        const error = new Error(`Brave Search (via proxy) request failed with status ${response.status}: ${errorBody}`);
+        error.status = response.status;
+        error.headers = response.headers;
+        throw error;
       }
 
       const data = await response.json();
@@ -11,6 +11,7 @@
  * @global DecideActionNode
  * @global SearchWebNode
  * @global AnswerQuestionNode
+ * @global ReportErrorNode
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -42,6 +43,14 @@ document.addEventListener('DOMContentLoaded', () => {
     UIManager.init(uiElementIds);
 
     let currentAgentFlow = null;
+
+    // Node types available to the agent's flow definition
+    const agentRegistry = new FlowFramework.NodeRegistry()
+      .register('DecideActionNode', DecideActionNode)
+      .register('SearchWebNode', SearchWebNode)
+      .register('AnswerQuestionNode', AnswerQuestionNode)
+      .register('ReportErrorNode', ReportErrorNode);
+
     const shared = {}; // Shared context for the flow
 
     /**
@@ -106,10 +115,16 @@ document.addEventListener('DOMContentLoaded', () => {
     function createAgentFlow(currentConfig) {
       const nodeApiMaxRetries = parseInt(currentConfig.maxApiRetries, 10) || 3;
       const nodeApiRetryDelay = parseInt(currentConfig.apiCallRetryDelaySeconds, 10) || 5;
+      const nodeApiTimeout = 60; // Seconds per API attempt, so a hung request is retried instead of blocking the agent
 
-      const decideNode = new DecideActionNode(nodeApiMaxRetries, nodeApiRetryDelay);
-      const searchNode = new SearchWebNode(nodeApiMaxRetries, nodeApiRetryDelay);
-      const answerNode = new AnswerQuestionNode(nodeApiMaxRetries, nodeApiRetryDelay);
+      // Back off exponentially on rate limits and server errors, honour Retry-After, and fail fast on e.g. 401
+      const apiRetry = {
+        type: 'exponential',
+        maxAttempts: nodeApiMaxRetries,
+        initialDelay: nodeApiRetryDelay,
+        jitter: true,
+        retryable: 'transient',
+      };
 
       // Set parameters for nodes - they will access these via this.params
       // Note: In smolflow.js, params are typically set on the node instance directly.
@@ -118,12 +133,68 @@ document.addEventListener('DOMContentLoaded', () => {
       // The current smolflow.js structure seems to pass params to the flow, which then might pass to nodes.
       // For simplicity, we'll add them to the `shared` object that `runAsync` receives.
 
-      decideNode.next(searchNode, 'search');
-      decideNode.next(answerNode, 'answer');
-      searchNode.next(decideNode, 'decide');
-      // answerNode is a terminal node for the 'done' action.
+      // answer is a terminal node for the 'done' action; a node that still fails after its retries ends in report.
+      const agentFlow = FlowFramework.Flow.fromDefinition({
+        type: 'AsyncFlow',
+        // Keys handleAskQuestion puts into `shared` before the run; the nodes declare the rest
+        inputs: ['question', 'context', 'llmConfig', 'apiServices', 'searchAttempts', 'maxSearchAttempts'],
+        start: 'decide',
+        errorHandler: 'report',
+        nodes: {
+          decide: {
+            type: 'DecideActionNode',
+            retry: apiRetry,
+            timeout: nodeApiTimeout,
+            next: { search: 'search', answer: 'answer' },
+          },
+          search: {
+            type: 'SearchWebNode',
+            retry: apiRetry,
+            timeout: nodeApiTimeout,
+            next: { decide: 'decide' },
+          },
+          answer: {
+            type: 'AnswerQuestionNode',
+            retry: apiRetry,
+            timeout: nodeApiTimeout,
+          },
+          report: {
+            type: 'ReportErrorNode',
+          },
+        },
+      }, agentRegistry);
+
+      // Safety net for the decide/search loop: each search attempt takes two steps, plus the final decide and answer,
+      // plus one for the error handler, so a failure after the last search still reaches 'report'
+      const maxSearchAttempts = parseInt(currentConfig.maxAgentSearchAttempts, 10) || 3;
+      agentFlow.maxSteps = 2 * maxSearchAttempts + 3;
+
+      // Drive the progress stepper from the flow's lifecycle events instead of from inside the nodes
+      const stepKeys = {
+        decide: 'DECIDING',
+        search: 'SEARCHING',
+        answer: 'ANSWERING',
+      };
+      agentFlow.events.on('node:start', (event) => {
+        if (stepKeys[event.node.id]) {
+          UIManager.updateProgressStepper(stepKeys[event.node.id]);
+        }
+      });
+      agentFlow.events.on('node:end', (event) => {
+        if (event.node.id === 'answer') {
+          UIManager.clearAnswerDraft(); // The final answer entry replaces the streamed draft
+          UIManager.updateProgressStepper('DONE');
+        }
+      });
+      agentFlow.events.on('node:error', () => {
+        UIManager.clearAnswerDraft();
+        UIManager.updateProgressStepper('ERROR');
+      });
+
+      // Show the answer token by token; a failed attempt's partial answer is dropped before the retry
+      agentFlow.events.on('node:chunk', (event) => UIManager.appendAnswerDraft(event.chunk));
+      agentFlow.events.on('node:chunk:reset', () => UIManager.clearAnswerDraft());
 
-      const agentFlow = new FlowFramework.AsyncFlow(decideNode);
       return agentFlow;
     }
 
@@ -168,12 +239,13 @@ document.addEventListener('DOMContentLoaded', () => {
       shared.braveApiKey = config.braveApiKey;
       shared.apiServices = ApiServices;
       shared.answer = null;
+      shared.error = null; // Set by the flow when a node fails and the run ends in ReportErrorNode
       shared.search_query = null;
       shared.currentStepKey = 'IDLE';
       shared.final_answer_from_decision = null;
       // Add new shared properties for agent search loop control
       shared.searchAttempts = 0; // Initialize current search attempts for this run
-      shared.maxAgentSearchAttempts = parseInt(config.maxAgentSearchAttempts, 10) || 3; // Max times agent decides to search
+      shared.maxSearchAttempts = parseInt(config.maxAgentSearchAttempts, 10) || 3; // Max times agent decides to search (read by DecideActionNode)
 
       console.log('[App] Shared object before runAsync:', JSON.parse(JSON.stringify(shared))); // Deep copy for logging
 
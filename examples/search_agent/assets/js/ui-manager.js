@@ -229,6 +229,35 @@ const UIManager = (() => {
     elements.logOutput.scrollTop = elements.logOutput.scrollHeight; // Auto-scroll
   }
 
+  /**
+   * Appends streamed text to the draft answer entry, creating the entry on the first chunk.
+   * @memberof UIManager
+   * @param {string} text - The text to append.
+   */
+  function appendAnswerDraft(text) {
+    if (!elements.logOutput) return;
+
+    let draft = elements.logOutput.querySelector('.answer-draft pre');
+    if (!draft) {
+      const entryDiv = document.createElement('div');
+      entryDiv.classList.add('log-entry', 'agent-answer', 'answer-draft');
+      entryDiv.innerHTML = '<p><strong>Writing Answer...</strong></p><pre></pre>';
+      elements.logOutput.appendChild(entryDiv);
+      draft = entryDiv.querySelector('pre');
+    }
+    draft.textContent += text;
+    elements.logOutput.scrollTop = elements.logOutput.scrollHeight; // Auto-scroll
+  }
+
+  /**
+   * Removes the draft answer entry, e.g. when the attempt that streamed it failed or the final answer is shown.
+   * @memberof UIManager
+   */
+  function clearAnswerDraft() {
+    const draft = elements.logOutput && elements.logOutput.querySelector('.answer-draft');
+    if (draft) draft.remove();
+  }
+
   /**
    * Clears all entries from the log output area.
    * @memberof UIManager
@@ -293,6 +322,8 @@ const UIManager = (() => {
     showConfigStatus,
     updateProgressStepper,
     addLogEntry,
+    appendAnswerDraft,
+    clearAnswerDraft,
     clearLogs,
     showLoading,
     getQuestion,
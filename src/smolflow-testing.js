@@ -0,0 +1,732 @@
+/**
+ * Flow Framework testing toolkit - scripted mock nodes and recorded runs with assertions.
+ * Load it after smolflow.js; it adds itself to the framework as FlowFramework.testing.
+ * @module FlowFramework/testing
+ */
+
+const FlowFrameworkTesting = (function (FlowFramework) {
+  const { Node, AsyncNode, Flow } = FlowFramework;
+  const { nodeLabel, sleep } = FlowFramework.utils;
+
+  /**
+   * Error thrown by the assertions of FlowRecording
+   * @class
+   * @extends Error
+   */
+  class FlowAssertionError extends Error {
+    /**
+     * Creates a new FlowAssertionError
+     * @param {string} message - What was expected and what happened
+     * @param {*} expected - Expected value
+     * @param {*} actual - Actual value
+     */
+    constructor(message, expected, actual) {
+      super(message);
+      this.name = 'FlowAssertionError';
+
+      /**
+       * Expected value
+       * @type {*}
+       */
+      this.expected = expected;
+
+      /**
+       * Actual value
+       * @type {*}
+       */
+      this.actual = actual;
+    }
+  }
+
+  /**
+   * Picks the scripted value for one visit of a mock node: arrays give one value per visit
+   * (the last one repeats), functions are called with the given arguments, anything else is constant
+   * @param {*} script - Scripted value(s)
+   * @param {number} visit - Number of the visit, starting at 1
+   * @param {Array} args - Arguments for a function script
+   * @returns {*} The value for this visit
+   * @private
+   */
+  function scripted(script, visit, args) {
+    if (typeof script === 'function') return script(...args);
+    if (Array.isArray(script)) return script[Math.min(visit, script.length) - 1];
+    return script;
+  }
+
+  /**
+   * Validates the script of a mock node
+   * @param {Object} script - Mock node script
+   * @throws {TypeError} If the script is invalid
+   * @private
+   */
+  function validateMockScript(script) {
+    if (script === null || typeof script !== 'object' || Array.isArray(script)) {
+      throw new TypeError('Mock node script must be an object');
+    }
+    if (script.id !== undefined && typeof script.id !== 'string') {
+      throw new TypeError('Mock node id must be a string');
+    }
+    if (script.output !== undefined && typeof script.output !== 'string') {
+      throw new TypeError('Mock node output must be a string');
+    }
+    const { throwOn, error } = script;
+    if (throwOn !== undefined && typeof throwOn !== 'function' && !Number.isInteger(throwOn) &&
+        !(Array.isArray(throwOn) && throwOn.every(Number.isInteger))) {
+      throw new TypeError('Mock node throwOn must be a call number, an array of call numbers or a function');
+    }
+    if (error !== undefined && !(error instanceof Error) && typeof error !== 'function') {
+      throw new TypeError('Mock node error must be an Error or a function');
+    }
+    if (script.delay !== undefined && (typeof script.delay !== 'number' || script.delay < 0)) {
+      throw new TypeError('Mock node delay must be a non-negative number of seconds');
+    }
+  }
+
+  /**
+   * Applies a mock node's script to the node: id, retries and the actions known to Flow.validate()
+   * @param {Node} node - The mock node
+   * @param {Object} script - Mock node script
+   * @private
+   */
+  function initMockNode(node, script) {
+    /**
+     * The script the node follows
+     * @type {Object}
+     */
+    node.script = script;
+
+    /**
+     * One entry per run of the node: {prepRes, execRes, action}
+     * @type {Array<Object>}
+     */
+    node.visits = [];
+
+    /**
+     * One entry per exec call, failed attempts included: {visit, call, prepRes} and result or error
+     * @type {Array<Object>}
+     */
+    node.calls = [];
+
+    if (script.id !== undefined) node.id = script.id;
+    const { actions } = script;
+    if (typeof actions === 'string') node.actions = [actions];
+    if (Array.isArray(actions) && actions.every(action => typeof action === 'string')) {
+      node.actions = [...new Set(actions)];
+    }
+  }
+
+  /**
+   * Retry arguments for the constructor of a mock node
+   * @param {Object} script - Mock node script
+   * @returns {Array} maxRetries (or the retry policy) and wait
+   * @private
+   */
+  function mockRetries(script) {
+    if (script.retry !== undefined) return [script.retry, 0];
+    return [script.maxRetries !== undefined ? script.maxRetries : 1, script.wait || 0];
+  }
+
+  /**
+   * Shared prep phase of mock nodes: starts a visit
+   * @param {Node} node - The running mock node
+   * @param {Object} shared - Shared context object
+   * @returns {*} The scripted prep result
+   * @private
+   */
+  function mockPrep(node, shared) {
+    const visit = node.visits.length + 1;
+    const prepRes = node.script.prep !== undefined ? scripted(node.script.prep, visit, [shared, visit]) : null;
+    node.visits.push({ prepRes, execRes: undefined, action: undefined });
+    return prepRes;
+  }
+
+  /**
+   * Shared exec phase of mock nodes: throws on the scripted calls, otherwise returns the scripted result
+   * @param {Node} node - The running mock node
+   * @param {*} prepRes - Prep result
+   * @returns {*} The scripted result
+   * @throws {Error} The scripted error, on the calls listed in throwOn
+   * @private
+   */
+  function mockExec(node, prepRes) {
+    const { throwOn, error } = node.script;
+    const visit = node.visits.length;
+    const call = node.calls.length + 1;
+    const entry = { visit, call, prepRes };
+    node.calls.push(entry);
+
+    const fails = typeof throwOn === 'function' ? throwOn(call, prepRes) :
+      Array.isArray(throwOn) ? throwOn.includes(call) : throwOn === call;
+    if (fails) {
+      entry.error = typeof error === 'function' ? error(call, prepRes) :
+        error || new Error(`${nodeLabel(node)} failed on call ${call}`);
+      throw entry.error;
+    }
+
+    entry.result = scripted(node.script.results, visit, [prepRes, visit]);
+    return entry.result;
+  }
+
+  /**
+   * Shared fallback of mock nodes: returns the scripted fallback, or rethrows without one
+   * @param {Node} node - The running mock node
+   * @param {*} prepRes - Prep result
+   * @param {Error} error - Error of the last attempt
+   * @returns {*} The scripted fallback result
+   * @throws {Error} The error, if the script has no fallback
+   * @private
+   */
+  function mockFallback(node, prepRes, error) {
+    const { fallback } = node.script;
+    if (fallback === undefined) throw error;
+    return typeof fallback === 'function' ? fallback(prepRes, error) : fallback;
+  }
+
+  /**
+   * Shared post phase of mock nodes: writes the output key and returns the scripted action
+   * @param {Node} node - The running mock node
+   * @param {Object} shared - Shared context object
+   * @param {*} prepRes - Prep result
+   * @param {*} execRes - Exec result
+   * @returns {string|undefined} The scripted action
+   * @private
+   */
+  function mockPost(node, shared, prepRes, execRes) {
+    const visit = node.visits.length;
+    const entry = node.visits[visit - 1];
+    if (node.script.output !== undefined) shared[node.script.output] = execRes;
+    entry.execRes = execRes;
+    entry.action = scripted(node.script.actions, visit, [shared, prepRes, execRes, visit]);
+    return entry.action;
+  }
+
+  /**
+   * Synchronous node that follows a script instead of doing work, for testing flows.
+   * Copies made while a flow runs share the visits and calls of the node they were made from.
+   * @class
+   * @extends Node
+   */
+  class MockNode extends Node {
+    /**
+     * Creates a new MockNode
+     * @param {Object} [script={}] - What the node does
+     * @param {string} [script.id] - Node id
+     * @param {*} [script.prep] - Prep result, per visit if an array, or a function of (shared, visit)
+     * @param {*} [script.results] - Exec result, per visit if an array, or a function of (prepRes, visit)
+     * @param {string|Array|Function} [script.actions] - Action returned by post, per visit if an array,
+     *   or a function of (shared, prepRes, execRes, visit)
+     * @param {number|Array<number>|Function} [script.throwOn] - Exec calls that throw, counted from 1 over
+     *   all visits and attempts, or a function of (call, prepRes) telling whether a call throws
+     * @param {Error|Function} [script.error] - Error thrown, or a function of (call, prepRes) creating it
+     * @param {*} [script.fallback] - Result of execFallback, or a function of (prepRes, error);
+     *   without it, the last error is rethrown
+     * @param {string} [script.output] - Shared key receiving the exec result
+     * @param {number|RetryPolicy} [script.maxRetries=1] - Maximum number of attempts
+     * @param {number} [script.wait=0] - Wait time between attempts (seconds)
+     * @param {RetryPolicy} [script.retry] - Retry policy, instead of maxRetries and wait
+     * @throws {TypeError} If the script is invalid
+     */
+    constructor(script = {}) {
+      validateMockScript(script);
+      super(...mockRetries(script));
+      initMockNode(this, script);
+    }
+
+    /**
+     * Starts a visit and returns the scripted prep result
+     * @param {Object} shared - Shared context object
+     * @returns {*} Prep result
+     */
+    prep(shared) {
+      return mockPrep(this, shared);
+    }
+
+    /**
+     * Returns the scripted result, or throws on the scripted calls
+     * @param {*} prepRes - Prep result
+     * @returns {*} Exec result
+     */
+    exec(prepRes) {
+      return mockExec(this, prepRes);
+    }
+
+    /**
+     * Returns the scripted fallback, or rethrows the error
+     * @param {*} prepRes - Prep result
+     * @param {Error} error - Error of the last attempt
+     * @returns {*} Fallback result
+     */
+    execFallback(prepRes, error) {
+      return mockFallback(this, prepRes, error);
+    }
+
+    /**
+     * Writes the output key and returns the scripted action
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Prep result
+     * @param {*} execRes - Exec result
+     * @returns {string|undefined} Action
+     */
+    post(shared, prepRes, execRes) {
+      return mockPost(this, shared, prepRes, execRes);
+    }
+  }
+
+  /**
+   * Asynchronous node that follows a script instead of doing work, for testing flows.
+   * Copies made while a flow runs share the visits and calls of the node they were made from.
+   * @class
+   * @extends AsyncNode
+   */
+  class MockAsyncNode extends AsyncNode {
+    /**
+     * Creates a new MockAsyncNode
+     * @param {Object} [script={}] - What the node does, as for MockNode
+     * @param {number} [script.delay=0] - Time each exec call takes (seconds); honours cancellation and timeouts
+     * @throws {TypeError} If the script is invalid
+     */
+    constructor(script = {}) {
+      validateMockScript(script);
+      super(...mockRetries(script));
+      initMockNode(this, script);
+    }
+
+    /**
+     * Starts a visit and returns the scripted prep result
+     * @param {Object} shared - Shared context object
+     * @returns {Promise<*>} Promise resolving to the prep result
+     */
+    async prepAsync(shared) {
+      return mockPrep(this, shared);
+    }
+
+    /**
+     * Waits for the scripted delay, then returns the scripted result or throws on the scripted calls
+     * @param {*} prepRes - Prep result
+     * @param {AbortSignal} signal - Signal of the attempt
+     * @returns {Promise<*>} Promise resolving to the exec result
+     */
+    async execAsync(prepRes, signal) {
+      if (this.script.delay) await sleep(this.script.delay * 1000, signal);
+      return mockExec(this, prepRes);
+    }
+
+    /**
+     * Returns the scripted fallback, or rethrows the error
+     * @param {*} prepRes - Prep result
+     * @param {Error} error - Error of the last attempt
+     * @returns {Promise<*>} Promise resolving to the fallback result
+     */
+    async execFallbackAsync(prepRes, error) {
+      return mockFallback(this, prepRes, error);
+    }
+
+    /**
+     * Writes the output key and returns the scripted action
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Prep result
+     * @param {*} execRes - Exec result
+     * @returns {Promise<string|undefined>} Promise resolving to the action
+     */
+    async postAsync(shared, prepRes, execRes) {
+      return mockPost(this, shared, prepRes, execRes);
+    }
+  }
+
+  /**
+   * Turns a path given as an array or as a string such as "decide→search→answer" into an array
+   * @param {Array|string} path - Expected path
+   * @returns {Array} Path steps
+   * @private
+   */
+  function pathSteps(path) {
+    if (typeof path === 'string') return path.split(/\s*(?:→|->)\s*/).filter(Boolean);
+    if (!Array.isArray(path)) {
+      throw new TypeError('Path must be an array or a string like "decide→search"');
+    }
+    return path;
+  }
+
+  /**
+   * Tells whether a visited node matches a node reference of an assertion
+   * @param {BaseNode} node - Visited node
+   * @param {BaseNode|Function|string} ref - The node itself, its class, or its name, id or class name
+   * @returns {boolean} True if the node matches
+   * @private
+   */
+  function matchesNode(node, ref) {
+    if (typeof ref === 'string') return nodeLabel(node) === ref || node.constructor.name === ref;
+    if (typeof ref === 'function') return node instanceof ref;
+    return node === ref;
+  }
+
+  /**
+   * Readable form of a node reference for assertion messages
+   * @param {BaseNode|Function|string} ref - Node reference
+   * @returns {string} Label
+   * @private
+   */
+  function refLabel(ref) {
+    if (typeof ref === 'string') return ref;
+    if (typeof ref === 'function') return ref.name;
+    return nodeLabel(ref);
+  }
+
+  /**
+   * What happened during one recorded run: the nodes visited with their actions and attempts,
+   * every lifecycle event, and the outcome. Returned by FlowFramework.testing.record().
+   * @class
+   */
+  class FlowRecording {
+    /**
+     * Creates a new FlowRecording
+     * @param {Flow} flow - The recorded flow
+     */
+    constructor(flow) {
+      /**
+       * The recorded flow
+       * @type {Flow}
+       */
+      this.flow = flow;
+
+      /**
+       * Lifecycle events of the run, nested flows included
+       * @type {Array<Object>}
+       */
+      this.events = [];
+
+      /**
+       * One entry per node run, in start order:
+       * {node, label, flow, action, error, attempts, retries, fallback, done}
+       * @type {Array<Object>}
+       */
+      this.visits = [];
+
+      /**
+       * Final action of the run (a suspended state if a node interrupted it)
+       * @type {*}
+       */
+      this.action = undefined;
+
+      /**
+       * Error the run failed with, or null
+       * @type {Error|null}
+       */
+      this.error = null;
+
+      /**
+       * Run ids of the recorded run and of everything running inside it
+       * @type {Set<string>}
+       * @private
+       */
+      this._runIds = new Set();
+    }
+
+    /**
+     * Adds an event of the flow's emitter if it belongs to the recorded run
+     * @param {Object} event - Lifecycle event
+     * @private
+     */
+    _add(event) {
+      if (this._runIds.size === 0) {
+        // The first top-level start of the flow after recording began is the recorded run
+        if (event.type !== 'flow:start' || event.flow !== this.flow || event.parentFlow) return;
+        this._runIds.add(event.runId);
+      } else if (!this._runIds.has(event.runId)) {
+        if (!this._runIds.has(event.parentRunId)) return;
+        this._runIds.add(event.runId);
+      }
+      this.events.push(event);
+
+      // A nested flow reports its run through flow:start/flow:end instead of node events
+      const nested = (event.type === 'flow:start' || event.type === 'flow:end') && event.parentFlow;
+      const node = nested ? event.flow : event.node;
+      const open = () => {
+        for (let i = this.visits.length - 1; i >= 0; i--) {
+          if (this.visits[i].node === node && !this.visits[i].done) return this.visits[i];
+        }
+        return null;
+      };
+      switch (nested ? event.type.replace('flow:', 'node:') : event.type) {
+        case 'node:start':
+          this.visits.push({
+            node, label: nodeLabel(node), flow: nested ? event.parentFlow : event.flow,
+            action: undefined, error: null, attempts: 0, retries: 0, fallback: false, done: false
+          });
+          break;
+        case 'node:exec:attempt': {
+          const visit = open();
+          if (visit) visit.attempts++;
+          break;
+        }
+        case 'node:retry': {
+          const visit = open();
+          if (visit) visit.retries++;
+          break;
+        }
+        case 'node:fallback': {
+          const visit = open();
+          if (visit) visit.fallback = true;
+          break;
+        }
+        case 'node:end':
+        case 'node:error': {
+          const visit = open();
+          if (visit) {
+            visit.done = true;
+            if (event.error) visit.error = event.error;
+            else visit.action = event.action;
+          }
+          break;
+        }
+      }
+    }
+
+    /**
+     * Visits of the nodes of one flow
+     * @param {Flow} [flow=this.flow] - Flow whose nodes are listed; nodes of nested flows belong to those flows
+     * @returns {Array<Object>} The visits
+     * @private
+     */
+    _visitsOf(flow = this.flow) {
+      return this.visits.filter(visit => visit.flow === flow);
+    }
+
+    /**
+     * Names of the nodes the flow visited, in order
+     * @param {Flow} [flow=this.flow] - Nested flow to list instead
+     * @returns {Array<string>} Node names, ids or class names
+     */
+    path(flow = this.flow) {
+      return this._visitsOf(flow).map(visit => visit.label);
+    }
+
+    /**
+     * Actions the flow's nodes returned, in order ('default' for none)
+     * @param {Flow} [flow=this.flow] - Nested flow to list instead
+     * @returns {Array<string>} Actions
+     */
+    actions(flow = this.flow) {
+      return this._visitsOf(flow).filter(visit => visit.done && !visit.error).map(visit => visit.action || 'default');
+    }
+
+    /**
+     * Counts the runs of a node
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @returns {number} Number of visits, nested flows included
+     */
+    visitCount(node) {
+      return this.visits.filter(visit => matchesNode(visit.node, node)).length;
+    }
+
+    /**
+     * Counts the retries of a node
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @returns {number} Number of failed attempts that were retried, over all visits
+     */
+    retryCount(node) {
+      return this.visits.filter(visit => matchesNode(visit.node, node)).reduce((sum, visit) => sum + visit.retries, 0);
+    }
+
+    /**
+     * Asserts the exact sequence of nodes the flow visited
+     * @param {Array<string>|string} expected - Node names, or a string like "decide→search→decide→answer"
+     * @param {Flow} [flow=this.flow] - Nested flow to check instead
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the path differs
+     */
+    assertPath(expected, flow = this.flow) {
+      const steps = pathSteps(expected);
+      const actual = this.path(flow);
+      if (steps.length !== actual.length || steps.some((step, i) => step !== actual[i])) {
+        throw new FlowAssertionError(`Expected path ${steps.join('→') || '(empty)'}, but the flow visited ${actual.join('→') || 'no nodes'}`, steps, actual);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts the sequence of actions the flow's nodes returned
+     * @param {Array<string>|string} expected - Actions, or a string like "search→default→answer"
+     * @param {Flow} [flow=this.flow] - Nested flow to check instead
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the actions differ
+     */
+    assertActions(expected, flow = this.flow) {
+      const steps = pathSteps(expected);
+      const actual = this.actions(flow);
+      if (steps.length !== actual.length || steps.some((step, i) => step !== actual[i])) {
+        throw new FlowAssertionError(`Expected actions ${steps.join('→') || '(none)'}, but the nodes returned ${actual.join('→') || 'none'}`, steps, actual);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts that a node ran, optionally a given number of times
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @param {number} [times] - Exact number of visits
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the node did not run as often as expected
+     */
+    assertVisited(node, times) {
+      const count = this.visitCount(node);
+      if (times === undefined ? count === 0 : count !== times) {
+        const expected = times === undefined ? 'at least once' : `${times} times`;
+        throw new FlowAssertionError(`Expected ${refLabel(node)} to run ${expected}, but it ran ${count} times`, times, count);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts that a node never ran
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the node ran
+     */
+    assertNotVisited(node) {
+      return this.assertVisited(node, 0);
+    }
+
+    /**
+     * Asserts how often a node was retried
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @param {number} times - Expected number of retries over all visits
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the number of retries differs
+     */
+    assertRetries(node, times) {
+      const count = this.retryCount(node);
+      if (count !== times) {
+        throw new FlowAssertionError(`Expected ${refLabel(node)} to be retried ${times} times, but it was retried ${count} times`, times, count);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts that a node's last attempt failed and its fallback ran
+     * @param {BaseNode|Function|string} node - The node, its class, or its name, id or class name
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If no visit of the node fell back
+     */
+    assertFellBack(node) {
+      if (!this.visits.some(visit => visit.fallback && matchesNode(visit.node, node))) {
+        throw new FlowAssertionError(`Expected ${refLabel(node)} to fall back, but it did not`, true, false);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts that the run finished without an error
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the run failed
+     */
+    assertSucceeded() {
+      if (this.error) {
+        throw new FlowAssertionError(`Expected the run to succeed, but it failed: ${this.error.message}`, null, this.error);
+      }
+      return this;
+    }
+
+    /**
+     * Asserts that the run failed
+     * @param {Function|string|RegExp} [expected] - Error class, message substring or message pattern
+     * @returns {FlowRecording} This recording, for chaining
+     * @throws {FlowAssertionError} If the run succeeded or failed differently
+     */
+    assertFailed(expected) {
+      const { error } = this;
+      if (!error) {
+        throw new FlowAssertionError('Expected the run to fail, but it succeeded', expected, this.action);
+      }
+      const message = error && error.message !== undefined ? String(error.message) : String(error);
+      const matches = expected === undefined ||
+        (typeof expected === 'function' && error instanceof expected) ||
+        (typeof expected === 'string' && message.includes(expected)) ||
+        (expected instanceof RegExp && expected.test(message));
+      if (!matches) {
+        const wanted = typeof expected === 'function' ? expected.name : String(expected);
+        throw new FlowAssertionError(`Expected the run to fail with ${wanted}, but it failed with: ${message}`, expected, error);
+      }
+      return this;
+    }
+  }
+
+  /**
+   * Runs a flow and records what happened. Errors of the run do not reject; they are kept in the recording.
+   * @param {Flow} flow - The flow to run (Flow or AsyncFlow)
+   * @param {Object} [shared={}] - Shared context object
+   * @param {Object} [options={}] - Run options, as for run() or runAsync()
+   * @returns {FlowRecording|Promise<FlowRecording>} The recording, or a promise of it for async flows
+   * @throws {TypeError} If flow is not a Flow
+   */
+  function record(flow, shared = {}, options = {}) {
+    if (!(flow instanceof Flow)) {
+      throw new TypeError('Flow must be an instance of Flow');
+    }
+    const recording = new FlowRecording(flow);
+    const unsubscribe = flow.events.on('*', event => recording._add(event));
+
+    if (typeof flow.runAsync === 'function') {
+      return flow.runAsync(shared, options).then(action => {
+        recording.action = action;
+      }, error => {
+        recording.error = error;
+      }).then(() => {
+        unsubscribe();
+        return recording;
+      });
+    }
+
+    try {
+      recording.action = flow.run(shared, options);
+    } catch (error) {
+      recording.error = error;
+    } finally {
+      unsubscribe();
+    }
+    return recording;
+  }
+
+  // Export public API
+  const publicAPI = {
+    /**
+     * Create a synchronous mock node
+     * @param {Object} [script={}] - What the node does (see MockNode)
+     * @returns {MockNode} The mock node
+     */
+    mockNode: script => new MockNode(script),
+
+    /**
+     * Create an asynchronous mock node
+     * @param {Object} [script={}] - What the node does (see MockAsyncNode)
+     * @returns {MockAsyncNode} The mock node
+     */
+    mockAsyncNode: script => new MockAsyncNode(script),
+
+    /**
+     * Run a flow and record the nodes it visited, their actions and retries
+     * @param {Flow} flow - The flow to run
+     * @param {Object} [shared={}] - Shared context object
+     * @param {Object} [options={}] - Run options
+     * @returns {FlowRecording|Promise<FlowRecording>} The recording, or a promise of it for async flows
+     */
+    record: record,
+
+    MockNode,
+    MockAsyncNode,
+    FlowRecording,
+    FlowAssertionError
+  };
+
+  FlowFramework.testing = publicAPI;
+  return publicAPI;
+})(typeof module !== 'undefined' && module.exports ? require('./smolflow.js') : window.FlowFramework);
+
+// Support CommonJS modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FlowFrameworkTesting;
+}
+
+// Support ES modules
+if (typeof exports !== 'undefined') {
+  Object.assign(exports, FlowFrameworkTesting);
+}
@@ -119,6 +119,105 @@ const FlowFramework = (function () {
     return Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
   }
 
+  /**
+   * Encodes a value as JSON-compatible data, tagging the types JSON cannot represent.
+   * Maps, Sets, Dates, RegExps, non-finite numbers, BigInts and undefined array entries
+   * are tagged with a `$type` field; functions and symbols are dropped like JSON.stringify does.
+   * @param {*} value - The value to encode
+   * @param {Set} [ancestors=new Set()] - Objects being encoded, for circular reference detection
+   * @returns {*} JSON-compatible representation of the value
+   * @throws {TypeError} If the value contains a circular reference
+   */
+  function serialize(value, ancestors = new Set()) {
+    if (value === undefined) return { $type: 'undefined' };
+    if (typeof value === 'number' && !isFinite(value)) return { $type: 'Number', value: String(value) };
+    if (typeof value === 'bigint') return { $type: 'BigInt', value: value.toString() };
+    if (value === null || typeof value !== 'object') return value;
+
+    if (value instanceof Date) return { $type: 'Date', value: isNaN(value) ? null : value.toISOString() };
+    if (value instanceof RegExp) return { $type: 'RegExp', source: value.source, flags: value.flags };
+
+    if (ancestors.has(value)) {
+      throw new TypeError('Cannot serialize a circular reference');
+    }
+    ancestors.add(value);
+
+    let data;
+    if (value instanceof Map) {
+      data = { $type: 'Map', entries: [] };
+      value.forEach((entry, key) => {
+        if (isSerializable(entry)) data.entries.push([serialize(key, ancestors), serialize(entry, ancestors)]);
+      });
+    } else if (value instanceof Set) {
+      data = { $type: 'Set', values: [] };
+      value.forEach(entry => {
+        if (isSerializable(entry)) data.values.push(serialize(entry, ancestors));
+      });
+    } else if (Array.isArray(value)) {
+      data = value.map(entry => isSerializable(entry) ? serialize(entry, ancestors) : null);
+    } else {
+      const fields = {};
+      Object.keys(value).forEach(key => {
+        if (isSerializable(value[key]) && value[key] !== undefined) fields[key] = serialize(value[key], ancestors);
+      });
+      // Escape objects that could be mistaken for tagged values
+      data = Object.prototype.hasOwnProperty.call(fields, '$type') ? { $type: 'Object', value: fields } : fields;
+    }
+
+    ancestors.delete(value);
+    return data;
+  }
+
+  /**
+   * Tells whether a value survives serialize() (functions and symbols do not)
+   * @param {*} value - The value to check
+   * @returns {boolean} True if the value can be serialized
+   * @private
+   */
+  function isSerializable(value) {
+    return typeof value !== 'function' && typeof value !== 'symbol';
+  }
+
+  /**
+   * Decodes data produced by serialize() back into the original value
+   * @param {*} data - JSON-compatible data
+   * @returns {*} The decoded value
+   */
+  function deserialize(data) {
+    if (data === null || typeof data !== 'object') return data;
+    if (Array.isArray(data)) return data.map(entry => deserialize(entry));
+
+    switch (data.$type) {
+      case undefined:
+        break;
+      case 'undefined':
+        return undefined;
+      case 'Number':
+        return Number(data.value);
+      case 'BigInt':
+        return BigInt(data.value);
+      case 'Date':
+        return new Date(data.value === null ? NaN : data.value);
+      case 'RegExp':
+        return new RegExp(data.source, data.flags);
+      case 'Map':
+        return new Map(data.entries.map(([key, value]) => [deserialize(key), deserialize(value)]));
+      case 'Set':
+        return new Set(data.values.map(value => deserialize(value)));
+      case 'Object':
+        data = data.value;
+        break;
+      default:
+        throw new TypeError(`Cannot deserialize unknown type '${data.$type}'`);
+    }
+
+    const value = {};
+    Object.keys(data).forEach(key => {
+      value[key] = deserialize(data[key]);
+    });
+    return value;
+  }
+
   /**
    * Type checking utilities
    * @namespace
@@ -159,747 +258,7075 @@ const FlowFramework = (function () {
       if (!(value instanceof type)) {
         throw new TypeError(`${name} must be an instance of ${type.name}`);
       }
+    },
+
+    /**
+     * Validates that a value is an AbortSignal (or null)
+     * @param {*} value - The value to check
+     * @param {string} name - Parameter name for error message
+     * @throws {TypeError} If validation fails
+     */
+    validateSignal: function (value, name) {
+      if (value !== null && (typeof value !== 'object' || typeof value.aborted !== 'boolean' ||
+        typeof value.addEventListener !== 'function')) {
+        throw new TypeError(`${name} must be an AbortSignal`);
+      }
     }
   };
 
   /**
-   * Base class for all nodes in the flow framework
+   * Error raised when a run is cancelled through its AbortSignal
    * @class
+   * @extends Error
    */
-  class BaseNode {
+  class CancellationError extends Error {
     /**
-     * Creates a new BaseNode instance
-     * @constructor
+     * Creates a new CancellationError
+     * @param {*} [reason] - The abort reason reported by the signal
      */
-    constructor() {
-      /**
-       * Node parameters
-       * @type {Object}
-       */
-      this.params = {};
+    constructor(reason) {
+      super(reason instanceof Error ? `Flow cancelled: ${reason.message}` : 'Flow cancelled');
+      this.name = 'CancellationError';
 
       /**
-       * Node successors mapped by action name
-       * @type {Object<string, BaseNode>}
+       * The abort reason reported by the signal
+       * @type {*}
        */
-      this.successors = {};
+      this.reason = reason;
     }
+  }
 
+  /**
+   * Error raised when an attempt, a node or a whole run exceeds its time limit
+   * @class
+   * @extends Error
+   */
+  class TimeoutError extends Error {
     /**
-     * Sets the parameters for this node
-     * @param {Object} params - The parameters to set
+     * Creates a new TimeoutError
+     * @param {string} scope - What timed out: 'attempt', 'node' (all attempts) or 'run'
+     * @param {number} timeout - The exceeded time limit in seconds
      */
-    setParams(params) {
-      if (params === null || typeof params !== 'object') {
-        throw new TypeError('Parameters must be an object');
-      }
-      this.params = params;
+    constructor(scope, timeout) {
+      super(`${scope === 'node' ? 'Node attempts' : scope === 'run' ? 'Run' : 'Attempt'} timed out after ${timeout}s`);
+      this.name = 'TimeoutError';
+
+      /**
+       * What timed out: 'attempt', 'node' (all attempts) or 'run'
+       * @type {string}
+       */
+      this.scope = scope;
+
+      /**
+       * The exceeded time limit in seconds
+       * @type {number}
+       */
+      this.timeout = timeout;
     }
+  }
 
+  /**
+   * Error raised when a flow exceeds its step budget or visit limit and has no limit action
+   * @class
+   * @extends Error
+   */
+  class LimitExceededError extends Error {
     /**
-     * Sets a successor node for a specific action
-     * @param {BaseNode} node - The successor node
-     * @param {string} [action="default"] - The action name
-     * @returns {BaseNode} The successor node (for chaining)
-     * @throws {TypeError} If node is not a BaseNode or action is not a string
+     * Creates a new LimitExceededError
+     * @param {string} limit - The exceeded limit ('maxSteps' or 'maxVisits')
+     * @param {BaseNode} node - The node that was about to run
+     * @param {number} steps - Number of steps taken before the limit was hit
      */
-    next(node, action = "default") {
-      if (!node || !(node instanceof BaseNode)) {
-        throw new TypeError("Node must be a BaseNode instance");
-      }
+    constructor(limit, node, steps) {
+      super(limit === 'maxSteps'
+        ? `Flow exceeded maxSteps after ${steps} steps (next node: ${nodeLabel(node)})`
+        : `Flow exceeded maxVisits for node ${nodeLabel(node)} after ${steps} steps`);
+      this.name = 'LimitExceededError';
 
-      typeChecks.validateString(action, "Action");
+      /**
+       * The exceeded limit ('maxSteps' or 'maxVisits')
+       * @type {string}
+       */
+      this.limit = limit;
 
-      if (this.successors[action]) {
-        warnings.warn(`Overwriting successor for action '${action}'`);
-      }
+      /**
+       * The node that was about to run
+       * @type {BaseNode}
+       */
+      this.node = node;
 
-      this.successors[action] = node;
-      return node;
+      /**
+       * Number of steps taken before the limit was hit
+       * @type {number}
+       */
+      this.steps = steps;
     }
+  }
 
+  /**
+   * Thrown by node.interrupt() to suspend a run until a person provides input. AsyncFlow catches it
+   * and resolves the run with a suspended state instead of failing; elsewhere it propagates like an error.
+   * @class
+   * @extends Error
+   */
+  class Interrupt extends Error {
     /**
-     * Preparation phase of node execution
-     * @param {Object} shared - Shared context object
-     * @returns {*} Preparation result to be passed to exec
+     * Creates a new Interrupt
+     * @param {BaseNode} node - The node that suspended the run
+     * @param {*} payload - Description of the input the node needs
      */
-    prep(shared) {
-      return null;
+    constructor(node, payload) {
+      super(`Run suspended by ${nodeLabel(node)}`);
+      this.name = 'Interrupt';
+
+      /**
+       * The node that suspended the run
+       * @type {BaseNode}
+       */
+      this.node = node;
+
+      /**
+       * Description of the input the node needs
+       * @type {*}
+       */
+      this.payload = payload;
+
+      /**
+       * Positions of the flows the interrupt passed through, outermost first
+       * @type {Array<Object>}
+       */
+      this.frames = [];
     }
+  }
 
+  /**
+   * Thrown when a failed flow could not undo all of its completed nodes. The original error is `cause`.
+   * @class
+   * @extends Error
+   */
+  class CompensationError extends Error {
     /**
-     * Execution phase of node processing
-     * @param {*} prepRes - Result from the prep phase
-     * @returns {*} Execution result to be passed to post
+     * Creates a new CompensationError
+     * @param {*} cause - The error the flow failed with
+     * @param {Array<Object>} compensations - Outcome of every compensation, in the order they ran
      */
-    exec(prepRes) {
-      return null;
+    constructor(cause, compensations) {
+      const failures = compensations.filter(outcome => outcome.status === 'failed');
+      const message = cause && cause.message !== undefined ? cause.message : String(cause);
+      super(`${failures.length} of ${compensations.length} compensations failed after: ${message}`);
+      this.name = 'CompensationError';
+
+      /**
+       * The error the flow failed with
+       * @type {*}
+       */
+      this.cause = cause;
+
+      /**
+       * Outcome of every compensation ({node, status, error}), in the order they ran
+       * @type {Array<Object>}
+       */
+      this.compensations = compensations;
+
+      /**
+       * The compensations that threw
+       * @type {Array<Object>}
+       */
+      this.failures = failures;
+    }
+  }
+
+  /**
+   * Returns the error a run fails with once its signal has aborted: the TimeoutError
+   * if the run's deadline passed, a CancellationError otherwise
+   * @param {AbortSignal} signal - The aborted signal
+   * @returns {Error} The error to throw
+   * @private
+   */
+  function abortError(signal) {
+    return signal.reason instanceof TimeoutError ? signal.reason : new CancellationError(signal.reason);
+  }
+
+  /**
+   * Throws if the signal has been aborted
+   * @param {AbortSignal|null} signal - Signal to check
+   * @throws {CancellationError} If the signal is aborted
+   * @throws {TimeoutError} If the run's deadline has passed
+   * @private
+   */
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+  }
+
+  /**
+   * Waits for the given number of milliseconds, rejecting early if the signal aborts
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal|null} [signal=null] - Signal that interrupts the wait
+   * @returns {Promise<void>} Promise resolving once the wait is over
+   * @private
+   */
+  function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Blocks the thread for the given number of milliseconds, for retry waits of synchronous nodes
+   * @param {number} ms - Milliseconds to wait
+   * @throws {Error} If blocking waits are not possible (e.g. on a browser's main thread)
+   * @private
+   */
+  function sleepSync(ms) {
+    try {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    } catch (e) {
+      throw new Error("Synchronous retry waits need Atomics.wait, which is not available here. " +
+        "Use AsyncNode or remove the wait.");
+    }
+  }
+
+  /**
+   * Reads a Retry-After hint from an error: a `retryAfter` property (seconds or Date),
+   * or a Retry-After header on `error.headers` or `error.response.headers`
+   * @param {*} error - The error of a failed attempt
+   * @returns {number|null} Seconds to wait, or null if the error has no hint
+   * @private
+   */
+  function retryAfterSeconds(error) {
+    if (!error || typeof error !== 'object') return null;
+
+    let hint = error.retryAfter;
+    if (hint === undefined) {
+      const headers = error.headers || (error.response && error.response.headers);
+      if (headers && typeof headers.get === 'function') hint = headers.get('retry-after');
+      else if (headers && typeof headers === 'object') hint = headers['retry-after'] || headers['Retry-After'];
     }
 
+    if (typeof hint === 'number') return isNaN(hint) ? null : Math.max(0, hint);
+    if (hint instanceof Date) return Math.max(0, (hint.getTime() - Date.now()) / 1000);
+    if (typeof hint !== 'string' || hint.trim() === '') return null;
+
+    // Retry-After is either a number of seconds or an HTTP date
+    if (/^\s*\d+(\.\d+)?\s*$/.test(hint)) return Number(hint);
+    const date = Date.parse(hint);
+    return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+  }
+
+  /**
+   * Decides whether and when a failed exec attempt is retried.
+   * Used as is, it waits a fixed or computed delay; subclasses provide common backoff strategies.
+   * @class
+   */
+  class RetryPolicy {
     /**
-     * Post-processing phase of node execution
-     * @param {Object} shared - Shared context object
-     * @param {*} prepRes - Result from the prep phase
-     * @param {*} execRes - Result from the exec phase
-     * @returns {*} Final result of node execution
+     * Creates a new RetryPolicy instance
+     * @param {Object} [options={}] - Policy options
+     * @param {number} [options.maxAttempts=1] - Maximum number of attempts, including the first
+     * @param {number|Function} [options.delay=0] - Seconds to wait before the next attempt,
+     *   or a function (attempt, error) returning them
+     * @param {number|null} [options.maxDelay=null] - Upper bound of the computed delay in seconds
+     * @param {Function|null} [options.retryable=null] - Predicate (error, attempt) telling whether an error is worth retrying
+     * @param {boolean} [options.respectRetryAfter=true] - Wait at least as long as an error's Retry-After hint
      */
-    post(shared, prepRes, execRes) {
-      return execRes;
+    constructor(options = {}) {
+      const { maxAttempts = 1, delay = 0, maxDelay = null, retryable = null, respectRetryAfter = true } = options;
+
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new TypeError("Max attempts must be an integer of at least 1");
+      }
+      if (typeof delay !== 'function') typeChecks.validatePositiveNumber(delay, "Delay");
+      if (maxDelay !== null) typeChecks.validatePositiveNumber(maxDelay, "Max delay");
+      if (retryable !== null && typeof retryable !== 'function') {
+        throw new TypeError("Retryable must be a function");
+      }
+
+      /**
+       * Maximum number of attempts, including the first
+       * @type {number}
+       */
+      this.maxAttempts = maxAttempts;
+
+      /**
+       * Seconds to wait before the next attempt, or a function (attempt, error) returning them
+       * @type {number|Function}
+       */
+      this.delay = delay;
+
+      /**
+       * Upper bound of the computed delay in seconds (Retry-After hints may exceed it)
+       * @type {number|null}
+       */
+      this.maxDelay = maxDelay;
+
+      /**
+       * Predicate (error, attempt) telling whether an error is worth retrying; null retries every error
+       * @type {Function|null}
+       */
+      this.retryable = retryable;
+
+      /**
+       * Whether to wait at least as long as an error's Retry-After hint
+       * @type {boolean}
+       */
+      this.respectRetryAfter = respectRetryAfter;
     }
 
     /**
-     * Internal execution method (can be overridden by subclasses)
-     * @param {*} prepRes - Result from the prep phase
-     * @returns {*} Execution result
-     * @protected
+     * Computes the backoff before the next attempt, before maxDelay and Retry-After are applied
+     * @param {number} attempt - The attempt that failed (starting at 1)
+     * @param {*} error - The error of the failed attempt
+     * @returns {number} Seconds to wait
      */
-    _exec(prepRes) {
-      return this.exec(prepRes);
+    backoff(attempt, error) {
+      return typeof this.delay === 'function' ? this.delay(attempt, error) : this.delay;
     }
 
     /**
-     * Internal run method that orchestrates the execution phases
-     * @param {Object} shared - Shared context object
-     * @returns {*} Result of node execution
-     * @protected
+     * Tells whether a failed attempt should be retried
+     * @param {*} error - The error of the failed attempt
+     * @param {number} attempt - The attempt that failed (starting at 1)
+     * @returns {boolean} True to retry, false to hand the error to the fallback
      */
-    _run(shared) {
-      const p = this.prep(shared);
-      const e = this._exec(p);
-      return this.post(shared, p, e);
+    shouldRetry(error, attempt) {
+      return attempt < this.maxAttempts && (this.retryable === null || Boolean(this.retryable(error, attempt)));
     }
 
     /**
-     * Executes this node
-     * @param {Object} shared - Shared context object
-     * @returns {*} Result of node execution
+     * Computes how long to wait before retrying a failed attempt
+     * @param {*} error - The error of the failed attempt
+     * @param {number} attempt - The attempt that failed (starting at 1)
+     * @returns {number} Seconds to wait
      */
-    run(shared) {
-      if (Object.keys(this.successors).length > 0) {
-        warnings.warn("Node won't run successors. Use Flow.");
+    delayFor(error, attempt) {
+      let delay = Number(this.backoff(attempt, error)) || 0;
+      if (this.maxDelay !== null) delay = Math.min(delay, this.maxDelay);
+
+      if (this.respectRetryAfter) {
+        const hint = retryAfterSeconds(error);
+        if (hint !== null) delay = Math.max(delay, hint);
       }
-      return this._run(shared);
+      return Math.max(0, delay);
     }
 
     /**
-     * Alias for next() - provides a more fluent API
-     * @param {BaseNode} other - The successor node
-     * @returns {BaseNode} The successor node (for chaining)
+     * Predicate for the retryable option that retries network failures, timeouts and
+     * HTTP 408, 425, 429 and 5xx responses, but not other HTTP errors such as 401.
+     * The status is read from `error.status`, `error.statusCode` or `error.response.status`.
+     * @param {*} error - The error of a failed attempt
+     * @returns {boolean} True if the error is likely transient
      */
-    connect(other) {
-      return this.next(other);
+    static isTransient(error) {
+      const status = error && (error.status || error.statusCode || (error.response && error.response.status));
+      if (typeof status !== 'number') return true;
+      return status === 408 || status === 425 || status === 429 || status >= 500;
     }
+  }
 
+  /**
+   * Retry policy waiting the same delay before every retry
+   * @class
+   * @extends RetryPolicy
+   */
+  class FixedRetryPolicy extends RetryPolicy {
     /**
-     * Creates a conditional transition from this node
-     * @param {string} action - The action name for the transition
-     * @returns {ConditionalTransition} A transition object
-     * @throws {TypeError} If action is not a string
+     * Creates a new FixedRetryPolicy instance
+     * @param {Object} [options={}] - Policy options, as for RetryPolicy
+     * @param {number} [options.maxAttempts=3] - Maximum number of attempts, including the first
+     * @param {number} [options.delay=1] - Seconds to wait before each retry
      */
-    withTransition(action) {
-      typeChecks.validateString(action, "Action");
-      return new ConditionalTransition(this, action);
+    constructor(options = {}) {
+      super({ maxAttempts: 3, delay: 1, ...options });
     }
   }
 
   /**
-   * Helper class for conditional transitions between nodes
+   * Retry policy multiplying the delay after every failed attempt, optionally with random jitter
    * @class
+   * @extends RetryPolicy
    */
-  class ConditionalTransition {
+  class ExponentialRetryPolicy extends RetryPolicy {
     /**
-     * Creates a new conditional transition
-     * @param {BaseNode} src - Source node
-     * @param {string} action - Action name for the transition
+     * Creates a new ExponentialRetryPolicy instance
+     * @param {Object} [options={}] - Policy options, as for RetryPolicy
+     * @param {number} [options.maxAttempts=5] - Maximum number of attempts, including the first
+     * @param {number} [options.initialDelay=1] - Seconds to wait before the first retry
+     * @param {number} [options.factor=2] - Multiplier applied to the delay after each retry
+     * @param {number|null} [options.maxDelay=60] - Upper bound of the delay in seconds
+     * @param {boolean|string} [options.jitter=false] - 'full' (or true) waits a random time up to the delay,
+     *   'equal' waits between half the delay and the full delay
      */
-    constructor(src, action) {
+    constructor(options = {}) {
+      const { initialDelay = 1, factor = 2, jitter = false, ...rest } = options;
+      super({ maxAttempts: 5, maxDelay: 60, ...rest });
+
+      typeChecks.validatePositiveNumber(initialDelay, "Initial delay");
+      typeChecks.validatePositiveNumber(factor, "Factor");
+      if (![false, true, 'full', 'equal'].includes(jitter)) {
+        throw new TypeError("Jitter must be false, true, 'full' or 'equal'");
+      }
+
       /**
-       * Source node
-       * @type {BaseNode}
+       * Seconds to wait before the first retry
+       * @type {number}
        */
-      this.src = src;
+      this.initialDelay = initialDelay;
 
       /**
-       * Action name
-       * @type {string}
+       * Multiplier applied to the delay after each retry
+       * @type {number}
        */
-      this.action = action;
+      this.factor = factor;
+
+      /**
+       * Jitter mode: false, 'full' or 'equal'
+       * @type {boolean|string}
+       */
+      this.jitter = jitter === true ? 'full' : jitter;
     }
 
     /**
-     * Connects this transition to a target node
-     * @param {BaseNode} tgt - Target node
-     * @returns {BaseNode} The target node (for chaining)
+     * Computes the exponential backoff before the next attempt, capped at maxDelay and then jittered
+     * @param {number} attempt - The attempt that failed (starting at 1)
+     * @returns {number} Seconds to wait
      */
-    connect(tgt) {
-      return this.src.next(tgt, this.action);
+    backoff(attempt) {
+      let delay = this.initialDelay * Math.pow(this.factor, attempt - 1);
+      if (this.maxDelay !== null) delay = Math.min(delay, this.maxDelay);
+
+      if (this.jitter === 'full') return Math.random() * delay;
+      if (this.jitter === 'equal') return delay / 2 + Math.random() * delay / 2;
+      return delay;
     }
   }
 
   /**
-   * Node with retry capabilities
-   * @class
-   * @extends BaseNode
+   * Runs a task, rejecting as soon as the signal aborts even if the task ignores the signal
+   * @param {Function} task - Function returning the value or promise to wait for
+   * @param {AbortSignal|null} signal - Signal that interrupts the wait
+   * @returns {Promise<*>} Promise settling like the task, or rejecting when the signal aborts
+   * @private
    */
-  class Node extends BaseNode {
-    /**
+  function untilAborted(task, signal) {
+    if (!signal) return Promise.resolve().then(task);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(abortError(signal));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      Promise.resolve().then(task).then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Creates the per-run context threaded through the internal run methods.
+   * Contexts with a timeout hold a timer; pass them to releaseRunContext() when the run is over.
+   * @param {Object} [options={}] - Run options
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the run
+   * @param {number} [options.timeout] - Deadline of the whole run, in seconds
+   * @param {string} [options.cache='use'] - How memoized nodes use their caches: 'use', 'bypass' or 'refresh'
+   * @param {Cassette} [options.cassette] - Cassette recording or replaying the exec calls of the run
+   * @param {boolean} [options.details=false] - Whether a flow run returns its statistics with its result
+   * @returns {Object} Run context
+   * @private
+   */
+  function createRunContext(options = {}) {
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError('Run options must be an object');
+    }
+
+    const signal = options.signal || null;
+    typeChecks.validateSignal(signal, 'Signal');
+
+    const cacheMode = options.cache === undefined ? 'use' : options.cache;
+    if (!cacheModes.includes(cacheMode)) {
+      throw new TypeError(`Cache mode must be one of: ${cacheModes.join(', ')}`);
+    }
+
+    const cassette = options.cassette || null;
+    if (cassette !== null) typeChecks.validateInstance(cassette, Cassette, 'Cassette');
+
+    if (options.details !== undefined && typeof options.details !== 'boolean') {
+      throw new TypeError('Details option must be a boolean');
+    }
+
+    const ctx = { signal, deadline: null, emitters: [globalEvents], runId: nextRunId(), parentRunId: null, cacheMode, cassette };
+    if (options.timeout === undefined || options.timeout === null) return ctx;
+
+    if (typeof options.timeout !== 'number' || !(options.timeout > 0)) {
+      throw new TypeError('Timeout must be a number greater than 0');
+    }
+    const scoped = deadlineSignal(signal, Date.now() + options.timeout * 1000, new TimeoutError('run', options.timeout));
+    ctx.signal = scoped.signal;
+    ctx.deadline = scoped.deadline;
+    ctx.release = scoped.release;
+    return ctx;
+  }
+
+  /**
+   * Clears the timer of a run context created with a timeout
+   * @param {Object} ctx - Run context
+   * @private
+   */
+  function releaseRunContext(ctx) {
+    if (ctx.release) ctx.release();
+  }
+
+  /**
+   * Returns what a top-level flow run ends with: its result or, with the details run option,
+   * the result together with the run's statistics
+   * @param {*} result - Result of the run
+   * @param {Object} stats - Statistics of the run ({steps, limit, compensations})
+   * @param {Object} options - Run options
+   * @returns {*} The result, or {result, steps, limit, compensations}
+   * @private
+   */
+  function runOutcome(result, stats, options) {
+    return options.details ? { result, ...stats } : result;
+  }
+
+  /**
+   * Creates a signal that aborts when the parent signal aborts or when the deadline passes
+   * @param {AbortSignal|null} parent - Signal to follow
+   * @param {number} deadline - Deadline as a Date.now() timestamp
+   * @param {TimeoutError} error - Abort reason used when the deadline passes
+   * @returns {{signal: AbortSignal, deadline: number, release: Function}} The signal, its deadline and a function clearing its timer
+   * @private
+   */
+  function deadlineSignal(parent, deadline, error) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parent.reason);
+    const timer = setTimeout(() => controller.abort(error), Math.max(0, deadline - Date.now()));
+
+    if (parent) {
+      if (parent.aborted) controller.abort(parent.reason);
+      else parent.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      deadline,
+      release: () => {
+        clearTimeout(timer);
+        if (parent) parent.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  /**
+   * Creates a signal that aborts when the parent signal aborts or when it is aborted directly
+   * @param {AbortSignal|null} parent - Signal to follow
+   * @returns {{signal: AbortSignal, abort: Function, release: Function}} The signal, a function aborting it
+   *   and a function detaching it from the parent
+   * @private
+   */
+  function linkedSignal(parent) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parent.reason);
+
+    if (parent) {
+      if (parent.aborted) controller.abort(parent.reason);
+      else parent.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      abort: reason => controller.abort(reason),
+      release: () => {
+        if (parent) parent.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  /**
+   * Counter backing nextRunId()
+   * @type {number}
+   * @private
+   */
+  let runCounter = 0;
+
+  /**
+   * Returns a process-unique identifier for one execution of a node, flow or batch item
+   * @returns {number} Run identifier
+   * @private
+   */
+  function nextRunId() {
+    return ++runCounter;
+  }
+
+  /**
+   * Derives the context for a child execution (a node run by a flow, or a batch item)
+   * @param {Object} ctx - Parent run context
+   * @param {Object} [fields={}] - Fields to set on the child context
+   * @returns {Object} Child run context
+   * @private
+   */
+  function childContext(ctx, fields = {}) {
+    return { ...ctx, runId: nextRunId(), parentRunId: ctx.runId || null, ...fields };
+  }
+
+  /**
+   * Returns a high-resolution timestamp in milliseconds for measuring durations
+   * @returns {number} Current time in milliseconds
+   * @private
+   */
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Minimal event emitter used for flow lifecycle events
+   * @class
+   */
+  class EventEmitter {
+    /**
+     * Creates a new EventEmitter instance
+     * @constructor
+     */
+    constructor() {
+      /**
+       * Registered listeners mapped by event type ('*' receives every event)
+       * @type {Object<string, Array<Function>>}
+       */
+      this.listeners = {};
+    }
+
+    /**
+     * Subscribes a listener to an event type
+     * @param {string} type - Event type (e.g. 'node:start'), or '*' for all events
+     * @param {Function} listener - Function receiving the event object
+     * @returns {Function} Function that removes the listener
+     * @throws {TypeError} If type is not a string or listener is not a function
+     */
+    on(type, listener) {
+      typeChecks.validateString(type, "Event type");
+      if (typeof listener !== 'function') {
+        throw new TypeError('Event listener must be a function');
+      }
+
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+      return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribes a listener that is removed after its first call
+     * @param {string} type - Event type, or '*' for all events
+     * @param {Function} listener - Function receiving the event object
+     * @returns {Function} Function that removes the listener
+     */
+    once(type, listener) {
+      const wrapper = event => {
+        this.off(type, wrapper);
+        listener(event);
+      };
+      return this.on(type, wrapper);
+    }
+
+    /**
+     * Removes a listener from an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener previously passed to on()
+     */
+    off(type, listener) {
+      const list = this.listeners[type];
+      if (!list) return;
+
+      const index = list.indexOf(listener);
+      if (index !== -1) list.splice(index, 1);
+      if (list.length === 0) delete this.listeners[type];
+    }
+
+    /**
+     * Checks whether any listener would receive an event type
+     * @param {string} type - Event type
+     * @returns {boolean} True if at least one listener is registered
+     */
+    hasListeners(type) {
+      return Boolean(this.listeners[type] || this.listeners['*']);
+    }
+
+    /**
+     * Delivers an event to the listeners of its type and to '*' listeners.
+     * Listener errors are reported as warnings so they cannot break a running flow.
+     * @param {string} type - Event type
+     * @param {Object} event - Event object
+     */
+    emit(type, event) {
+      const list = [...(this.listeners[type] || []), ...(this.listeners['*'] || [])];
+
+      list.forEach(listener => {
+        try {
+          listener(event);
+        } catch (e) {
+          warnings.warn(`Event listener for '${type}' threw: ${e && e.message}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Default emitter that receives the events of every run
+   * @type {EventEmitter}
+   */
+  const globalEvents = new EventEmitter();
+
+  /**
+   * Emits a lifecycle event to every emitter of the run context.
+   * Events carry the runId of the execution they belong to, so interleaved runs can be told apart.
+   * @param {Object} ctx - Run context
+   * @param {string} type - Event type
+   * @param {Object} [details={}] - Event-specific fields (node, action, attempt, duration, error...)
+   * @private
+   */
+  function emitEvent(ctx, type, details = {}) {
+    const emitters = ctx.emitters || [globalEvents];
+    if (!emitters.some(emitter => emitter.hasListeners(type))) return;
+
+    const event = {
+      type,
+      flow: ctx.flow || null,
+      runId: ctx.runId || null,
+      parentRunId: ctx.parentRunId || null,
+      timestamp: Date.now()
+    };
+    if (ctx.batchIndex !== undefined) event.batchIndex = ctx.batchIndex;
+    if (ctx.item !== undefined) event.item = ctx.item;
+    if (ctx.branch !== undefined) event.branch = ctx.branch;
+    Object.assign(event, details);
+
+    emitters.forEach(emitter => emitter.emit(type, event));
+  }
+
+  /**
+   * Returns a readable label for a node: its `name` or `id` property if set, otherwise its class name
+   * @param {BaseNode|null} node - The node to label
+   * @returns {string|null} Node label
+   * @private
+   */
+  function nodeLabel(node) {
+    if (!node) return null;
+    if (typeof node.name === 'string' && node.name) return node.name;
+    if (typeof node.id === 'string' && node.id) return node.id;
+    return node.constructor.name;
+  }
+
+  /**
+   * Generates a random lowercase hex string (used for trace and span IDs)
+   * @param {number} bytes - Number of random bytes
+   * @returns {string} Hex string of length bytes * 2
+   * @private
+   */
+  function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+      crypto.getRandomValues(values);
+    } else {
+      for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+    }
+    return Array.from(values, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Records the lifecycle events of flow runs as a tree of timed spans.
+   * Each top-level run becomes a trace whose spans nest flows, sub-flows, batch items,
+   * nodes and their prep/exec/post phases; every exec attempt gets its own span.
+   * @class
+   */
+  class Tracer {
+    /**
+     * Creates a new Tracer instance
+     * @constructor
+     */
+    constructor() {
+      /**
+       * Recorded spans in start order
+       * @type {Array<Object>}
+       */
+      this.spans = [];
+
+      /**
+       * Node/flow/batch spans mapped by run ID
+       * @type {Map<number, Object>}
+       * @private
+       */
+      this._runs = new Map();
+
+      /**
+       * Open exec attempt spans mapped by run ID, item and attempt
+       * @type {Map<string, Object>}
+       * @private
+       */
+      this._attempts = new Map();
+
+      /**
+       * Events already recorded, so attaching to nested emitters does not duplicate spans
+       * @type {WeakSet<Object>}
+       * @private
+       */
+      this._seen = new WeakSet();
+
+      /**
+       * Listener registered on attached emitters
+       * @type {Function}
+       * @private
+       */
+      this._listener = event => this._record(event);
+    }
+
+    /**
+     * Starts recording the events of a flow (and its nested flows) or of an emitter
+     * @param {Flow|EventEmitter} [target=FlowFramework.events] - What to record
+     * @returns {Function} Function that stops recording
+     * @throws {TypeError} If target is neither a Flow nor an EventEmitter
+     */
+    attach(target = globalEvents) {
+      const emitter = target instanceof Flow ? target.events : target;
+      typeChecks.validateInstance(emitter, EventEmitter, "Tracer target");
+      return emitter.on('*', this._listener);
+    }
+
+    /**
+     * Discards all recorded spans
+     */
+    clear() {
+      this.spans = [];
+      this._runs.clear();
+      this._attempts.clear();
+    }
+
+    /**
+     * Returns the root span of every recorded trace
+     * @returns {Array<Object>} Root spans, each with nested children
+     */
+    getTraces() {
+      return this.spans.filter(span => span.parentSpanId === null);
+    }
+
+    /**
+     * Opens a span
+     * @param {Object|null} parent - Parent span, or null for a new trace
+     * @param {string} name - Span name
+     * @param {string} kind - Span kind ('flow', 'batch', 'node', 'prep', 'exec' or 'post')
+     * @param {number} startTime - Start time (epoch milliseconds)
+     * @param {Object} [attributes={}] - Span attributes
+     * @returns {Object} The new span
+     * @private
+     */
+    _open(parent, name, kind, startTime, attributes = {}) {
+      const span = {
+        traceId: parent ? parent.traceId : randomHex(16),
+        spanId: randomHex(8),
+        parentSpanId: parent ? parent.spanId : null,
+        name,
+        kind,
+        startTime,
+        endTime: null,
+        duration: null,
+        status: 'unset',
+        error: null,
+        attributes,
+        events: [],
+        children: []
+      };
+
+      if (parent) parent.children.push(span);
+      this.spans.push(span);
+      return span;
+    }
+
+    /**
+     * Closes a span
+     * @param {Object} span - Span to close
+     * @param {Object} event - Lifecycle event ending the span
+     * @private
+     */
+    _close(span, event) {
+      span.endTime = event.timestamp;
+      span.duration = typeof event.duration === 'number' ? event.duration : span.endTime - span.startTime;
+
+      if (event.error instanceof Interrupt) {
+        // A suspended run is not a failure; its spans end where the run will resume
+        span.status = 'ok';
+        span.attributes.suspended = true;
+      } else if (event.error) {
+        span.status = 'error';
+        span.error = { name: event.error.name, message: event.error.message };
+        span.events.push({
+          name: 'exception',
+          time: event.timestamp,
+          attributes: { type: event.error.name, message: event.error.message }
+        });
+      } else {
+        span.status = 'ok';
+      }
+    }
+
+    /**
+     * Records a completed phase as a child span ending at the event's timestamp
+     * @param {Object} parent - Node span
+     * @param {string} kind - Phase name
+     * @param {Object} event - Lifecycle event ending the phase
+     * @private
+     */
+    _phase(parent, kind, event) {
+      const span = this._open(parent, kind, kind, event.timestamp - event.duration);
+      this._close(span, event);
+    }
+
+    /**
+     * Updates the span tree with one lifecycle event
+     * @param {Object} event - Lifecycle event
+     * @private
+     */
+    _record(event) {
+      if (this._seen.has(event)) return;
+      this._seen.add(event);
+
+      const span = this._runs.get(event.runId);
+      const attemptKey = `${event.runId}:${event.item}:${event.attempt}`;
+
+      switch (event.type) {
+        case 'flow:start': {
+          const attributes = { node: nodeLabel(event.flow) };
+          if (event.branch !== undefined) attributes.branch = event.branch;
+          this._runs.set(event.runId, this._open(
+            this._runs.get(event.parentRunId) || null, nodeLabel(event.flow), 'flow', event.timestamp, attributes
+          ));
+          break;
+        }
+
+        case 'batch:start':
+          this._runs.set(event.runId, this._open(
+            this._runs.get(event.parentRunId) || null, `${nodeLabel(event.flow)}[${event.batchIndex}]`, 'batch',
+            event.timestamp, { batchIndex: event.batchIndex, params: event.params }
+          ));
+          break;
+
+        case 'node:start': {
+          const attributes = { node: nodeLabel(event.node) };
+          if (event.batchIndex !== undefined) attributes.batchIndex = event.batchIndex;
+          this._runs.set(event.runId, this._open(
+            this._runs.get(event.parentRunId) || null, nodeLabel(event.node), 'node', event.timestamp, attributes
+          ));
+          break;
+        }
+
+        case 'node:prep':
+        case 'node:post':
+          if (!span) break;
+          this._phase(span, event.type.slice(5), event);
+          if (event.type === 'node:post') span.attributes.action = event.action;
+          break;
+
+        case 'node:exec:attempt': {
+          if (!span) break;
+          const attributes = { attempt: event.attempt };
+          if (event.item !== undefined) attributes.item = event.item;
+          this._attempts.set(attemptKey, this._open(span, 'exec', 'exec', event.timestamp, attributes));
+          break;
+        }
+
+        case 'cache:hit':
+        case 'cache:miss': {
+          if (!span) break;
+          const attributes = { key: event.key };
+          if (event.item !== undefined) attributes.item = event.item;
+          if (event.reason !== undefined) attributes.reason = event.reason;
+          span.events.push({ name: event.type, time: event.timestamp, attributes });
+          if (event.item === undefined) span.attributes.cache = event.type === 'cache:hit' ? 'hit' : 'miss';
+          break;
+        }
+
+        case 'node:chunk': {
+          const attemptSpan = this._attempts.get(attemptKey);
+          if (attemptSpan) attemptSpan.attributes.chunks = (attemptSpan.attributes.chunks || 0) + 1;
+          break;
+        }
+
+        case 'node:chunk:reset': {
+          const attemptSpan = this._attempts.get(attemptKey);
+          if (attemptSpan) attemptSpan.events.push({ name: 'reset', time: event.timestamp, attributes: { chunks: event.chunks } });
+          break;
+        }
+
+        case 'node:exec':
+        case 'node:retry':
+        case 'node:fallback': {
+          const attemptSpan = this._attempts.get(attemptKey);
+          if (!attemptSpan) break;
+          this._attempts.delete(attemptKey);
+          this._close(attemptSpan, event);
+          if (event.type === 'node:fallback' && span) {
+            span.events.push({ name: 'fallback', time: event.timestamp, attributes: { attempt: event.attempt } });
+          }
+          break;
+        }
+
+        case 'transition':
+          if (!span) break;
+          span.attributes.next = nodeLabel(event.next);
+          if (event.guard) span.attributes.guard = event.guard;
+          break;
+
+        case 'node:compensate':
+          if (span) {
+            const attributes = { node: nodeLabel(event.node), status: event.error ? 'failed' : 'compensated' };
+            if (event.error) attributes.error = String(event.error.message || event.error);
+            span.events.push({ name: 'compensate', time: event.timestamp, attributes });
+          }
+          break;
+
+        case 'node:end':
+        case 'node:error':
+        case 'batch:end':
+        case 'flow:end':
+          if (!span) break;
+          if (event.action !== undefined) span.attributes.action = event.action;
+          this._close(span, event);
+
+          // Attempts interrupted by an error or cancellation end with their node
+          this._attempts.forEach((attemptSpan, key) => {
+            if (key.startsWith(`${event.runId}:`)) {
+              this._attempts.delete(key);
+              this._close(attemptSpan, event);
+            }
+          });
+          break;
+      }
+    }
+
+    /**
+     * Exports the recorded traces as plain JSON-compatible objects
+     * @returns {Object} Object with a `traces` array of nested root spans
+     */
+    toJSON() {
+      const serialize = span => ({
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        name: span.name,
+        kind: span.kind,
+        startTime: span.startTime,
+        endTime: span.endTime,
+        duration: span.duration,
+        status: span.status,
+        error: span.error,
+        attributes: { ...span.attributes },
+        events: span.events.map(e => ({ ...e, attributes: { ...e.attributes } })),
+        children: span.children.map(serialize)
+      });
+
+      return { traces: this.getTraces().map(serialize) };
+    }
+
+    /**
+     * Exports the recorded spans in the OTLP/JSON trace format accepted by OpenTelemetry collectors
+     * @param {string} [serviceName="smolflow"] - Value of the service.name resource attribute
+     * @returns {Object} OTLP ExportTraceServiceRequest payload
+     */
+    toOTLP(serviceName = "smolflow") {
+      const toNanos = ms => (BigInt(Math.round(ms * 1000)) * BigInt(1000)).toString();
+      const toValue = value => {
+        if (typeof value === 'boolean') return { boolValue: value };
+        if (Number.isInteger(value)) return { intValue: String(value) };
+        if (typeof value === 'number') return { doubleValue: value };
+        if (typeof value === 'string') return { stringValue: value };
+        return { stringValue: JSON.stringify(value) };
+      };
+      const toAttributes = (attributes, prefix) => Object.keys(attributes)
+        .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+        .map(key => ({ key: `${prefix}${key}`, value: toValue(attributes[key]) }));
+
+      const spans = this.spans.map(span => {
+        const endTime = span.endTime === null ? span.startTime : span.endTime;
+        return {
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || '',
+          name: span.name,
+          kind: 1, // SPAN_KIND_INTERNAL
+          startTimeUnixNano: toNanos(span.startTime),
+          endTimeUnixNano: toNanos(endTime),
+          attributes: toAttributes({ kind: span.kind, ...span.attributes }, 'smolflow.'),
+          events: span.events.map(e => ({
+            name: e.name,
+            timeUnixNano: toNanos(e.time),
+            attributes: toAttributes(e.attributes, e.name === 'exception' ? 'exception.' : 'smolflow.')
+          })),
+          status: span.status === 'error'
+            ? { code: 2, message: span.error.message }
+            : { code: span.status === 'ok' ? 1 : 0 }
+        };
+      });
+
+      return {
+        resourceSpans: [{
+          resource: { attributes: toAttributes({ 'service.name': serviceName }, '') },
+          scopeSpans: [{
+            scope: { name: 'smolflow', version: publicAPI.VERSION },
+            spans
+          }]
+        }]
+      };
+    }
+  }
+
+  /**
+   * Base class for all nodes in the flow framework
+   * @class
+   */
+  class BaseNode {
+    /**
+     * Creates a new BaseNode instance
+     * @constructor
+     */
+    constructor() {
+      /**
+       * Node parameters
+       * @type {Object}
+       */
+      this.params = {};
+
+      /**
+       * Node successors mapped by action name
+       * @type {Object<string, BaseNode>}
+       */
+      this.successors = {};
+
+      /**
+       * Guarded transitions in the order they were connected. Each guard leads to the successor
+       * registered under its name and is taken when its predicate holds (see when()).
+       * @type {Array<{name: string, predicate: Function}>}
+       */
+      this.guards = [];
+
+      /**
+       * Default guard names handed out by when(), so that each call gets a distinct one
+       * @type {Set<string>}
+       * @private
+       */
+      this._guardNames = new Set();
+
+      /**
+       * Optional identifier of this node within its flow (set by Flow.fromDefinition)
+       * @type {string|null}
+       */
+      this.id = null;
+
+      /**
+       * Actions this node's post may return, checked by Flow.validate().
+       * When null, a static `actions` array on the class is used instead, if any.
+       * @type {Array<string>|null}
+       */
+      this.actions = null;
+
+      /**
+       * Keys of the shared context this node reads: a list of keys, or keys mapped to JSON-Schema-style
+       * schemas. When null, a static `reads` on the class is used instead, if any.
+       * @type {Array<string>|Object<string, Object|boolean>|null}
+       */
+      this.reads = null;
+
+      /**
+       * Keys of the shared context this node writes, declared like `reads`
+       * @type {Array<string>|Object<string, Object|boolean>|null}
+       */
+      this.writes = null;
+
+      /**
+       * Input delivered to interrupt() in a resumed run, wrapped as {value}
+       * @type {Object|null}
+       * @private
+       */
+      this._resumeInput = null;
+    }
+
+    /**
+     * Sets the parameters for this node
+     * @param {Object} params - The parameters to set
+     */
+    setParams(params) {
+      if (params === null || typeof params !== 'object') {
+        throw new TypeError('Parameters must be an object');
+      }
+      this.params = params;
+    }
+
+    /**
+     * Suspends the run until a person provides input. Call it from any phase of the node; when the
+     * suspended run is resumed, the node runs again from the start and the call returns the input.
+     * @param {*} [payload=null] - Description of the input the node needs, e.g. a question and a draft.
+     *   It is stored in the suspended state, so it should be serializable.
+     * @returns {*} The `input` option passed to resumeAsync(), when the node runs as part of a resumed run
+     * @throws {Interrupt} Otherwise, to suspend the run
+     */
+    interrupt(payload = null) {
+      if (this._resumeInput) return this._resumeInput.value;
+      throw new Interrupt(this, payload);
+    }
+
+    /**
+     * Sets a successor node for a specific action
+     * @param {BaseNode} node - The successor node
+     * @param {string} [action="default"] - The action name
+     * @returns {BaseNode} The successor node (for chaining)
+     * @throws {TypeError} If node is not a BaseNode or action is not a string
+     */
+    next(node, action = "default") {
+      if (!node || !(node instanceof BaseNode)) {
+        throw new TypeError("Node must be a BaseNode instance");
+      }
+
+      typeChecks.validateString(action, "Action");
+
+      const previous = this.successors[action];
+      if (previous) {
+        warnings.warn(`Overwriting successor for action '${action}'`);
+      }
+
+      this.successors[action] = node;
+      return node;
+    }
+
+    /**
+     * Preparation phase of node execution
+     * @param {Object} shared - Shared context object
+     * @returns {*} Preparation result to be passed to exec
+     */
+    prep(shared) {
+      return null;
+    }
+
+    /**
+     * Execution phase of node processing
+     * @param {*} prepRes - Result from the prep phase
+     * @returns {*} Execution result to be passed to post
+     */
+    exec(prepRes) {
+      return null;
+    }
+
+    /**
+     * Post-processing phase of node execution
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Result from the prep phase
+     * @param {*} execRes - Result from the exec phase
+     * @returns {*} Final result of node execution
+     */
+    post(shared, prepRes, execRes) {
+      return execRes;
+    }
+
+    /**
+     * Undoes the side effects of a completed run of this node after a later node failed.
+     * Does nothing by default; flows record the nodes that override it (see Flow).
+     * @param {Object} shared - Shared context object, as the node saw it
+     * @param {*} prepRes - Result from the prep phase of the completed run
+     * @param {*} execRes - Result from the exec phase of the completed run
+     */
+    compensate(shared, prepRes, execRes) {
+    }
+
+    /**
+     * Internal execution method (can be overridden by subclasses)
+     * @param {*} prepRes - Result from the prep phase
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Execution result
+     * @protected
+     */
+    _exec(prepRes, ctx = {}) {
+      return this.exec(prepRes);
+    }
+
+    /**
+     * Internal run method that orchestrates the execution phases
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Result of node execution
+     * @protected
+     */
+    _run(shared, ctx = {}) {
+      const node = ctx.node || this;
+      const started = now();
+      emitEvent(ctx, 'node:start', { node });
+
+      try {
+        let phaseStart = now();
+        const p = this.prep(shared);
+        emitEvent(ctx, 'node:prep', { node, duration: now() - phaseStart });
+
+        const e = this._exec(p, ctx);
+
+        phaseStart = now();
+        const action = this.post(shared, p, e);
+        recordCompletion(ctx, this, shared, p, e);
+        emitEvent(ctx, 'node:post', { node, action, duration: now() - phaseStart });
+        emitEvent(ctx, 'node:end', { node, action, duration: now() - started });
+        return action;
+      } catch (error) {
+        emitEvent(ctx, 'node:error', { node, error, duration: now() - started });
+        throw error;
+      }
+    }
+
+    /**
+     * Executes this node
+     * @param {Object} shared - Shared context object
+     * @param {Object} [options={}] - Run options
+     * @param {string} [options.cache='use'] - How memoized nodes use their caches: 'use', 'bypass' or 'refresh'
+     * @param {Cassette} [options.cassette] - Cassette recording or replaying the exec calls of the run
+     * @returns {*} Result of node execution
+     */
+    run(shared, options = {}) {
+      if (Object.keys(this.successors).length > 0) {
+        warnings.warn("Node won't run successors. Use Flow.");
+      }
+      if (options === null || typeof options !== 'object') {
+        throw new TypeError('Run options must be an object');
+      }
+      return this._run(shared, createRunContext({ cache: options.cache, cassette: options.cassette, details: options.details }));
+    }
+
+    /**
+     * Alias for next() - provides a more fluent API
+     * @param {BaseNode} other - The successor node
+     * @returns {BaseNode} The successor node (for chaining)
+     */
+    connect(other) {
+      return this.next(other);
+    }
+
+    /**
+     * Creates a conditional transition from this node
+     * @param {string} action - The action name for the transition
+     * @returns {ConditionalTransition} A transition object
+     * @throws {TypeError} If action is not a string
+     */
+    withTransition(action) {
+      typeChecks.validateString(action, "Action");
+      return new ConditionalTransition(this, action);
+    }
+
+    /**
+     * Creates a transition guarded by a predicate over the node's outcome. A flow evaluates the guards
+     * in the order they were connected, before it looks up the action; the first one that holds wins.
+     * @example
+     * decide.when((shared, action) => action === 'search' && shared.searchAttempts >= 3, 'searchLimit').connect(answer);
+     * @param {Function} predicate - Called as (shared, action, execRes); the transition is taken if it returns a truthy value
+     * @param {string} [name] - Name of the guard, shown in transition events, traces and diagrams.
+     *   Defaults to `when:` followed by the predicate's name or position, with a `#2`, `#3`... suffix
+     *   if an earlier guard or action of this node already uses it. Connecting a guard under an
+     *   explicit name that is already connected replaces that guard's predicate.
+     * @returns {ConditionalTransition} A transition object
+     * @throws {TypeError} If predicate is not a function or name is not a string
+     */
+    when(predicate, name = null) {
+      if (typeof predicate !== 'function') {
+        throw new TypeError("Guard predicate must be a function");
+      }
+      if (name === null) {
+        const base = `when:${predicate.name || this._guardNames.size + 1}`;
+        name = base;
+        for (let i = 2; this._guardNames.has(name) || name in this.successors; i++) name = `${base}#${i}`;
+        this._guardNames.add(name);
+      }
+      typeChecks.validateString(name, "Guard name");
+      return new ConditionalTransition(this, name, predicate);
+    }
+
+    /**
+     * Sets the wildcard successor, taken when no guard holds and no successor matches the action
+     * @param {BaseNode} node - The successor node
+     * @returns {BaseNode} The successor node (for chaining)
+     * @throws {TypeError} If node is not a BaseNode
+     */
+    otherwise(node) {
+      return this.next(node, '*');
+    }
+  }
+
+  /**
+   * Helper class for conditional transitions between nodes
+   * @class
+   */
+  class ConditionalTransition {
+    /**
+     * Creates a new conditional transition
+     * @param {BaseNode} src - Source node
+     * @param {string} action - Action name for the transition, or the name of its guard
+     * @param {Function} [predicate=null] - Guard predicate, (shared, action, execRes) => boolean
+     */
+    constructor(src, action, predicate = null) {
+      /**
+       * Source node
+       * @type {BaseNode}
+       */
+      this.src = src;
+
+      /**
+       * Action name
+       * @type {string}
+       */
+      this.action = action;
+
+      /**
+       * Guard predicate (null for a plain action transition)
+       * @type {Function|null}
+       */
+      this.predicate = predicate;
+    }
+
+    /**
+     * Connects this transition to a target node. A guard connected again under the same name
+     * keeps its place in the evaluation order.
+     * @param {BaseNode} tgt - Target node
+     * @returns {BaseNode} The target node (for chaining)
+     */
+    connect(tgt) {
+      const node = this.src.next(tgt, this.action);
+      if (this.predicate) {
+        const guard = this.src.guards.find(existing => existing.name === this.action);
+        if (guard) guard.predicate = this.predicate;
+        else this.src.guards.push({ name: this.action, predicate: this.predicate });
+      }
+      return node;
+    }
+  }
+
+  /**
+   * Node with retry capabilities
+   * @class
+   * @extends BaseNode
+   */
+  class Node extends BaseNode {
+    /**
      * Creates a new Node instance
-     * @param {number} [maxRetries=1] - Maximum number of retry attempts
+     * @param {number|RetryPolicy} [maxRetries=1] - Maximum number of retry attempts, or a retry policy
+     * @param {number} [wait=0] - Wait time between retries (seconds)
+     * @throws {TypeError} If maxRetries is not an integer of at least 1 or wait is negative
+     */
+    constructor(maxRetries = 1, wait = 0) {
+      super();
+
+      /**
+       * Fixed retry policy built from maxRetries and wait, once it is first needed
+       * @type {RetryPolicy|null}
+       * @private
+       */
+      this._fixedPolicy = null;
+
+      /**
+       * Retry policy; when set, it replaces maxRetries and wait
+       * @type {RetryPolicy|null}
+       */
+      this.retryPolicy = null;
+
+      if (maxRetries instanceof RetryPolicy) {
+        this.retryPolicy = maxRetries;
+        maxRetries = maxRetries.maxAttempts;
+      }
+
+      this.maxRetries = maxRetries;
+      this.wait = wait;
+
+      /**
+       * Current retry attempt (set during execution)
+       * @type {number}
+       */
+      this.curRetry = 0;
+
+      /**
+       * Memoization settings: exec results are stored in `store` under a hash of prepRes, params and `version`,
+       * for `ttl` seconds (null for no limit). `namespace` defaults to the node's label. Null disables memoization.
+       * @type {{store: CacheStore, version: (string|undefined), ttl: (number|null|undefined), namespace: (string|undefined)}|null}
+       */
+      this.cache = null;
+    }
+
+    /**
+     * Maximum number of retry attempts, including the first; checked when set
+     * @type {number}
+     */
+    get maxRetries() {
+      return this._maxRetries;
+    }
+
+    set maxRetries(value) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new TypeError('Max retries must be an integer of at least 1');
+      }
+      this._maxRetries = value;
+      this._fixedPolicy = null;
+    }
+
+    /**
+     * Wait time between retries (seconds); checked when set
+     * @type {number}
+     */
+    get wait() {
+      return this._wait;
+    }
+
+    set wait(value) {
+      typeChecks.validatePositiveNumber(value, 'Wait');
+      this._wait = value;
+      this._fixedPolicy = null;
+    }
+
+    /**
+     * Returns the retry policy in effect: retryPolicy, or a fixed policy built from maxRetries and wait
+     * @returns {RetryPolicy} The retry policy
+     * @protected
+     */
+    _getRetryPolicy() {
+      if (this.retryPolicy) {
+        typeChecks.validateInstance(this.retryPolicy, RetryPolicy, "Retry policy");
+        return this.retryPolicy;
+      }
+      if (!this._fixedPolicy) {
+        this._fixedPolicy = new RetryPolicy({ maxAttempts: this.maxRetries, delay: this.wait, respectRetryAfter: false });
+      }
+      return this._fixedPolicy;
+    }
+
+    /**
+     * Fallback execution handler for when all retries fail
+     * @param {*} prepRes - Result from the prep phase
+     * @param {Error} exc - The exception that caused the failure
+     * @returns {*} Fallback result
+     * @throws {Error} The original exception by default
+     */
+    execFallback(prepRes, exc) {
+      throw exc;
+    }
+
+    /**
+     * Internal execution method, answered from the node's cache when the node is memoized
+     * @param {*} prepRes - Result from the prep phase
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Execution result
+     * @throws {TypeError} If the cache store answers asynchronously
+     * @protected
+     */
+    _exec(prepRes, ctx = {}) {
+      const memo = memoFor(this, prepRes, ctx);
+      if (!memo) return this._execAttempts(prepRes, ctx);
+
+      const node = ctx.node || this;
+      const hit = memo.read ? cacheHit(syncCacheResult(memo.store.get(memo.key), node)) : null;
+      if (hit) {
+        emitEvent(ctx, 'cache:hit', { node, key: memo.key });
+        return hit.value;
+      }
+
+      emitEvent(ctx, 'cache:miss', { node, key: memo.key, reason: memo.read ? 'missing' : 'refresh' });
+      const run = {};
+      const result = this._execAttempts(prepRes, ctx, run);
+      const entry = run.fallback ? null : cacheEntry(result, memo, node);
+      if (entry) syncCacheResult(memo.store.set(memo.key, entry), node);
+      return result;
+    }
+
+    /**
+     * Runs the exec attempts with retry logic
+     * @param {*} prepRes - Result from the prep phase
+     * @param {Object} [ctx={}] - Run context
+     * @param {Object} [run={}] - Receives `fallback: true` if the result came from execFallback
+     * @returns {*} Execution result
+     * @protected
+     */
+    _execAttempts(prepRes, ctx = {}, run = {}) {
+      const node = ctx.node || this;
+      const policy = this._getRetryPolicy();
+
+      for (let retry = 0; retry < policy.maxAttempts; retry++) {
+        this.curRetry = retry;
+        const attempt = retry + 1;
+        if (ctx.outcome) ctx.outcome.attempts = attempt;
+        const started = now();
+        emitEvent(ctx, 'node:exec:attempt', { node, attempt });
+
+        try {
+          const result = ctx.cassette ? ctx.cassette._execSync(node, this, prepRes, () => this.exec(prepRes)) : this.exec(prepRes);
+          emitEvent(ctx, 'node:exec', { node, attempt, duration: now() - started });
+          return result;
+        } catch (e) {
+          if (e instanceof Interrupt) throw e;
+          if (!policy.shouldRetry(e, attempt)) {
+            emitEvent(ctx, 'node:fallback', { node, attempt, error: e, duration: now() - started });
+            run.fallback = true;
+            return this.execFallback(prepRes, e);
+          }
+
+          const wait = policy.delayFor(e, attempt);
+          emitEvent(ctx, 'node:retry', { node, attempt, error: e, wait, duration: now() - started });
+
+          // Blocks the thread; throws where that is impossible rather than retrying without waiting
+          if (wait > 0 && !replaying(ctx)) {
+            sleepSync(wait * 1000);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Error raised by a batch node in settle mode when more items fail than maxFailures allows
+   * @class
+   * @extends Error
+   */
+  class BatchError extends Error {
+    /**
+     * Creates a new BatchError
+     * @param {number} failures - Number of failed items
+     * @param {number} maxFailures - Number of failures the node tolerates
+     * @param {Array<Object>} outcomes - Outcomes of the items that had finished
+     */
+    constructor(failures, maxFailures, outcomes) {
+      super(`Batch failed: ${failures} items failed, at most ${maxFailures} tolerated`);
+      this.name = 'BatchError';
+
+      /**
+       * Number of failed items
+       * @type {number}
+       */
+      this.failures = failures;
+
+      /**
+       * Number of failures the node tolerates
+       * @type {number}
+       */
+      this.maxFailures = maxFailures;
+
+      /**
+       * Outcomes of the items that had finished, in input order
+       * @type {Array<Object>}
+       */
+      this.outcomes = outcomes;
+    }
+  }
+
+  /**
+   * Adds the failure handling settings to a batch node
+   * @param {Node} node - The batch node
+   * @private
+   */
+  function initBatchFailureHandling(node) {
+    /**
+     * 'failFast' rejects the batch on the first failed item; 'settle' hands per-item outcomes to post
+     * @type {string}
+     */
+    node.failureMode = 'failFast';
+
+    /**
+     * In settle mode, the number of failed items tolerated before the batch fails (null for no limit)
+     * @type {number|null}
+     */
+    node.maxFailures = null;
+  }
+
+  /**
+   * Collects the per-item outcomes of one batch run and applies the node's failure mode.
+   * Outcomes look like Promise.allSettled results with the item, its index and its attempt count:
+   * `{status: 'fulfilled', value, item, index, attempts}` or `{status: 'rejected', reason, item, index, attempts}`.
+   * @class
+   * @private
+   */
+  class BatchSettler {
+    /**
+     * Creates a new BatchSettler for a run of a batch node
+     * @param {Node} node - The batch node
+     * @throws {TypeError} If the node's failure settings are invalid
+     */
+    constructor(node) {
+      if (node.failureMode !== 'failFast' && node.failureMode !== 'settle') {
+        throw new TypeError("Failure mode must be 'failFast' or 'settle'");
+      }
+      if (node.maxFailures !== null && (!Number.isInteger(node.maxFailures) || node.maxFailures < 0)) {
+        throw new TypeError("Max failures must be null or a positive integer");
+      }
+
+      this.settle = node.failureMode === 'settle';
+      this.maxFailures = node.maxFailures;
+      this.failures = 0;
+      this.outcomes = [];
+    }
+
+    /**
+     * Creates the outcome record of an item; the node's _exec counts its attempts on it
+     * @param {*} item - The item
+     * @param {number} index - Index of the item
+     * @returns {Object} The outcome record
+     */
+    start(item, index) {
+      const outcome = { status: 'pending', item, index, attempts: 0 };
+      this.outcomes[index] = outcome;
+      return outcome;
+    }
+
+    /**
+     * Records a successful item
+     * @param {Object} outcome - The item's outcome record
+     * @param {*} value - The item's result
+     * @returns {*} The result
+     */
+    fulfilled(outcome, value) {
+      outcome.status = 'fulfilled';
+      outcome.value = value;
+      return value;
+    }
+
+    /**
+     * Records a failed item, or rethrows the error if the batch must fail
+     * @param {Object} outcome - The item's outcome record
+     * @param {*} error - The item's error
+     * @returns {undefined} Nothing; the item's place in the results stays empty
+     * @throws {*} The error itself in fail-fast mode and for cancelled or timed-out runs
+     * @throws {BatchError} If more items failed than maxFailures allows
+     */
+    rejected(outcome, error) {
+      const aborted = error instanceof CancellationError || (error instanceof TimeoutError && error.scope === 'run');
+      if (!this.settle || aborted || error instanceof Interrupt) throw error;
+
+      outcome.status = 'rejected';
+      outcome.reason = error;
+      this.failures++;
+      if (this.maxFailures !== null && this.failures > this.maxFailures) {
+        throw new BatchError(this.failures, this.maxFailures, this.outcomes.filter(o => o && o.status !== 'pending'));
+      }
+      return undefined;
+    }
+
+    /**
+     * Returns the batch's execution result
+     * @param {Array} values - Results of the items, in input order
+     * @returns {Array} The values in fail-fast mode, the outcomes in settle mode
+     */
+    result(values) {
+      return this.settle ? this.outcomes : values;
+    }
+  }
+
+  /**
+   * Processes items in a batch
+   * @class
+   * @extends Node
+   */
+  class BatchNode extends Node {
+    /**
+     * Creates a new BatchNode instance
+     * @param {number|RetryPolicy} [maxRetries=1] - Maximum number of retry attempts, or a retry policy
+     * @param {number} [wait=0] - Wait time between retries (seconds)
+     */
+    constructor(maxRetries = 1, wait = 0) {
+      super(maxRetries, wait);
+      initBatchFailureHandling(this);
+    }
+
+    /**
+     * Internal execution method that processes each item
+     * @param {Array} items - Items to process
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Array} Array of execution results, or of outcomes in settle mode
+     * @throws {BatchError} In settle mode, if more than maxFailures items fail
+     * @protected
+     */
+    _exec(items, ctx = {}) {
+      if (!items) return [];
+      if (!Array.isArray(items)) {
+        warnings.warn("BatchNode expected an array but received " + typeof items);
+        return [super._exec(items, ctx)];
+      }
+
+      const settler = new BatchSettler(this);
+      const values = items.map((item, index) => {
+        const outcome = settler.start(item, index);
+        try {
+          return settler.fulfilled(outcome, super._exec(item, { ...ctx, item: index, outcome }));
+        } catch (error) {
+          return settler.rejected(outcome, error);
+        }
+      });
+      return settler.result(values);
+    }
+  }
+
+  /**
+   * Error raised in strict-state flows when a node accesses the shared context outside its declared contract
+   * @class
+   * @extends Error
+   */
+  class ContractError extends Error {
+    /**
+     * Creates a new ContractError
+     * @param {BaseNode|Flow} node - The node (or flow, for its inputs) that broke its contract
+     * @param {string} key - The shared key involved
+     * @param {string} message - Description of the violation
+     */
+    constructor(node, key, message) {
+      super(message);
+      this.name = 'ContractError';
+
+      /**
+       * The node (or flow, for its inputs) that broke its contract
+       * @type {BaseNode|Flow}
+       */
+      this.node = node;
+
+      /**
+       * The shared key involved
+       * @type {string}
+       */
+      this.key = key;
+    }
+  }
+
+  /**
+   * Checks whether reading a key is a probe made by the runtime (promise resolution, JSON.stringify,
+   * inherited Object methods) rather than an access to shared data
+   * @param {Object} target - The shared context
+   * @param {string} key - The key being read
+   * @returns {boolean} True if the read is never a contract violation
+   * @private
+   */
+  function isProbedKey(target, key) {
+    if (Object.prototype.hasOwnProperty.call(target, key)) return false;
+    return key === 'then' || key === 'toJSON' || key in Object.prototype;
+  }
+
+  /**
+   * Normalizes a reads/writes/inputs declaration into a map of key to schema
+   * @param {Array<string>|Object<string, Object|boolean>|null} declaration - Key names, or keys mapped to
+   *   JSON-Schema-style schemas (true for any value)
+   * @param {string} name - Name of the declaration, for error messages
+   * @returns {Map<string, Object|null>|null} Schema per key (null for any value), or null if undeclared
+   * @throws {TypeError} If the declaration is malformed
+   * @private
+   */
+  function contractKeys(declaration, name) {
+    if (declaration === null || declaration === undefined) return null;
+    const keys = new Map();
+    if (Array.isArray(declaration)) {
+      declaration.forEach(key => {
+        typeChecks.validateString(key, `Each key of ${name}`);
+        keys.set(key, null);
+      });
+    } else if (isPlainObject(declaration)) {
+      Object.keys(declaration).forEach(key => {
+        const schema = declaration[key];
+        if (schema !== true && !isPlainObject(schema)) {
+          throw new TypeError(`Schema of '${key}' in ${name} must be an object or true`);
+        }
+        keys.set(key, schema === true ? null : schema);
+      });
+    } else {
+      throw new TypeError(`${name} must be an array of keys or an object mapping keys to schemas`);
+    }
+    return keys;
+  }
+
+  /**
+   * Returns the shared-state contract a node declares through its `reads` and `writes`
+   * properties, or through static `reads` and `writes` on its class
+   * @param {BaseNode} node - The node
+   * @returns {{reads: Map<string, Object|null>, writes: Map<string, Object|null>}|null} The contract, or null if the node declares none
+   * @throws {TypeError} If a declaration is malformed
+   * @private
+   */
+  function declaredContract(node) {
+    const reads = contractKeys(node.reads !== null && node.reads !== undefined ? node.reads : node.constructor.reads, 'reads');
+    const writes = contractKeys(node.writes !== null && node.writes !== undefined ? node.writes : node.constructor.writes, 'writes');
+    if (!reads && !writes) return null;
+    return { reads: reads || new Map(), writes: writes || new Map() };
+  }
+
+  /**
+   * Describes the type of a value in schema terms
+   * @param {*} value - The value
+   * @returns {string} 'null', 'array' or the typeof of the value
+   * @private
+   */
+  function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Checks a value against a JSON-Schema-style schema. Supports `type` (a name or a list of
+   * string, number, integer, boolean, object, array and null), `enum`, `items`, `properties` and `required`.
+   * @param {*} value - The value to check
+   * @param {Object|null} schema - The schema (null accepts anything)
+   * @param {string} path - Path of the value, for the message
+   * @returns {string|null} Description of the first mismatch, or null if the value matches
+   * @private
+   */
+  function schemaMismatch(value, schema, path) {
+    if (!schema) return null;
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = schemaType(value);
+      const matches = types.some(type => type === actual ||
+        (type === 'integer' && Number.isInteger(value)) ||
+        (type === 'number' && actual === 'number' && !isNaN(value)));
+      if (!matches) return `${path} must be ${types.join(' or ')}, got ${actual}`;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => sameData(option, value))) {
+      return `${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    }
+    if (Array.isArray(value) && isPlainObject(schema.items)) {
+      for (let i = 0; i < value.length; i++) {
+        const mismatch = schemaMismatch(value[i], schema.items, `${path}[${i}]`);
+        if (mismatch) return mismatch;
+      }
+    }
+    if (isPlainObject(value)) {
+      const missing = (schema.required || []).find(key => value[key] === undefined);
+      if (missing !== undefined) return `${path}.${missing} is required`;
+      const properties = isPlainObject(schema.properties) ? schema.properties : {};
+      for (const key of Object.keys(properties)) {
+        if (value[key] === undefined) continue;
+        const mismatch = schemaMismatch(value[key], properties[key], `${path}.${key}`);
+        if (mismatch) return mismatch;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Wraps the shared context for a node in a strict-state flow. Reading a key the node neither reads
+   * nor writes, writing a key it does not write, and values that do not match the declared schemas
+   * throw a ContractError. Declared reads with a type must be set.
+   * @param {Object} shared - Shared context object
+   * @param {BaseNode} node - The node (the original, for error reporting)
+   * @param {{reads: Map, writes: Map}} contract - The node's contract
+   * @returns {Object} Proxy enforcing the contract
+   * @private
+   */
+  function contractView(shared, node, contract) {
+    const label = nodeLabel(node);
+    const fail = (key, message) => {
+      throw new ContractError(node, key, `${label} ${message}`);
+    };
+
+    return new Proxy(shared, {
+      get: (target, key, receiver) => {
+        if (typeof key === 'symbol' || isProbedKey(target, key)) return Reflect.get(target, key, receiver);
+        const value = Reflect.get(target, key, receiver);
+        if (contract.reads.has(key)) {
+          const mismatch = schemaMismatch(value, contract.reads.get(key), `shared.${key}`);
+          if (mismatch) fail(key, `reads '${key}': ${mismatch}`);
+        } else if (!contract.writes.has(key)) {
+          fail(key, `reads undeclared key '${key}'`);
+        }
+        return value;
+      },
+      set: (target, key, value, receiver) => {
+        if (typeof key !== 'symbol') {
+          if (!contract.writes.has(key)) fail(key, `writes undeclared key '${key}'`);
+          const mismatch = schemaMismatch(value, contract.writes.get(key), `shared.${key}`);
+          if (mismatch) fail(key, `writes '${key}': ${mismatch}`);
+        }
+        return Reflect.set(target, key, value, receiver);
+      },
+      deleteProperty: (target, key) => {
+        if (typeof key !== 'symbol' && !contract.writes.has(key)) fail(key, `deletes undeclared key '${key}'`);
+        return Reflect.deleteProperty(target, key);
+      }
+    });
+  }
+
+  /**
+   * Returns the shared context a flow hands to one of its nodes: wrapped in a contract view when
+   * the run enforces contracts and the node declares one. Flows and parallel nodes are composites
+   * and receive the shared context as it is; their inner nodes are checked individually.
+   * @param {Object} shared - Shared context object
+   * @param {BaseNode} node - The node about to run
+   * @param {Object} ctx - Run context of the flow
+   * @returns {Object} The shared context for the node
+   * @private
+   */
+  function sharedForNode(shared, node, ctx) {
+    if (!ctx.strictState || node instanceof Flow || node instanceof ParallelNode) return shared;
+    const contract = declaredContract(node);
+    return contract ? contractView(shared, node, contract) : shared;
+  }
+
+  /**
+   * Tells whether a node's error may be routed to an error successor or handler. Cancellations,
+   * run timeouts, interrupts and contract or replay violations always end the run.
+   * @param {*} error - The error a node threw
+   * @returns {boolean} True if the flow may continue after the error
+   * @private
+   */
+  function routableError(error) {
+    if (error instanceof TimeoutError) return error.scope !== 'run';
+    return !(error instanceof CancellationError || error instanceof Interrupt ||
+      error instanceof ContractError || error instanceof CassetteError);
+  }
+
+  /**
+   * Tells whether a node overrides compensate() or compensateAsync()
+   * @param {BaseNode} node - The node
+   * @returns {boolean} True if the node can undo its runs
+   * @private
+   */
+  function hasCompensation(node) {
+    return node.compensate !== BaseNode.prototype.compensate ||
+      (node instanceof AsyncNode && node.compensateAsync !== AsyncNode.prototype.compensateAsync);
+  }
+
+  /**
+   * Records a completed node run: keeps its exec result for the guards of the flow running it, and adds
+   * the run to the flow's compensation log if the node can undo it
+   * @param {Object} ctx - Run context of the node
+   * @param {BaseNode} running - The running copy of the node
+   * @param {Object} shared - Shared context the node saw
+   * @param {*} prepRes - Prep result of the run
+   * @param {*} execRes - Exec result of the run
+   * @private
+   */
+  function recordCompletion(ctx, running, shared, prepRes, execRes) {
+    ctx.execRes = execRes;
+    if (ctx.compensations && hasCompensation(running)) {
+      ctx.compensations.push({ node: ctx.node || running, running, shared, prepRes, execRes });
+    }
+  }
+
+  /**
+   * Runs one compensation and describes its outcome
+   * @param {Object} ctx - Run context of the flow
+   * @param {Object} entry - Logged node run
+   * @param {Function} call - Calls the node's compensation; may return a promise
+   * @returns {Promise<Object>|Object} The outcome ({node, status, error}), as a promise if call returns one
+   * @private
+   */
+  function compensateEntry(ctx, entry, call) {
+    const started = now();
+    const settle = error => {
+      const outcome = { node: nodeLabel(entry.node), status: error ? 'failed' : 'compensated', error: error || null };
+      emitEvent(ctx, 'node:compensate', error
+        ? { node: entry.node, error, duration: now() - started }
+        : { node: entry.node, duration: now() - started });
+      return outcome;
+    };
+
+    let result;
+    try {
+      result = call();
+    } catch (error) {
+      return settle(error);
+    }
+    return result && typeof result.then === 'function' ? result.then(() => settle(null), settle) : settle(null);
+  }
+
+  /**
+   * Returns the error a compensated run throws. The outcomes are attached to the original error as
+   * `compensations`, after those of any nested flow it passed through; if a compensation failed, or the
+   * error cannot carry properties, it is wrapped in a CompensationError instead.
+   * @param {*} error - The error the flow failed with
+   * @param {Array<Object>} outcomes - Outcome of every compensation this flow ran
+   * @returns {*} The error to throw
+   * @private
+   */
+  function compensatedError(error, outcomes) {
+    const attachable = error !== null && (typeof error === 'object' || typeof error === 'function') && Object.isExtensible(error);
+    if (!attachable || outcomes.some(outcome => outcome.status === 'failed')) return new CompensationError(error, outcomes);
+
+    error.compensations = Array.isArray(error.compensations) ? error.compensations.concat(outcomes) : outcomes.slice();
+    return error;
+  }
+
+  /**
+   * Orchestrates node execution
+   * @class
+   * @extends BaseNode
+   */
+  class Flow extends BaseNode {
+    /**
+     * Creates a new Flow instance
+     * @param {BaseNode} [startNode=null] - The starting node
+     */
+    constructor(startNode = null) {
+      super();
+
+      /**
+       * The starting node for this flow
+       * @type {BaseNode}
+       */
+      this.startNode = startNode;
+
+      /**
+       * Lifecycle events of this flow's runs (including nested flows)
+       * @type {EventEmitter}
+       */
+      this.events = new EventEmitter();
+
+      /**
+       * When true, the graph is validated on the first run and errors are thrown
+       * @type {boolean}
+       */
+      this.strict = false;
+
+      /**
+       * Whether strict validation has already passed
+       * @type {boolean}
+       * @private
+       */
+      this._validated = false;
+
+      /**
+       * Nodes the flow was defined with (set by Flow.fromDefinition), checked for reachability by validate()
+       * @type {Array<BaseNode>}
+       * @private
+       */
+      this._declaredNodes = [];
+
+      /**
+       * Maximum number of nodes one pass through the graph may run (null for no limit)
+       * @type {number|null}
+       */
+      this.maxSteps = null;
+
+      /**
+       * Maximum number of times one pass through the graph may run the same node (null for no limit)
+       * @type {number|null}
+       */
+      this.maxVisits = null;
+
+      /**
+       * Action the flow ends with when a limit is exceeded; when null, a LimitExceededError is thrown
+       * @type {string|null}
+       */
+      this.limitAction = null;
+
+      /**
+       * Statistics of the most recent run: steps taken, the exceeded limit, if any, and the outcomes
+       * of the compensations run after a failure ({node, status, error})
+       * @type {{steps: number, limit: string|null, compensations: Array<Object>}|null}
+       */
+      this.lastRun = null;
+
+      /**
+       * When true, nodes that declare `reads`/`writes` (here and in nested flows) may only access
+       * the shared keys they declare, with values matching their schemas
+       * @type {boolean}
+       */
+      this.strictState = false;
+
+      /**
+       * Keys of the shared context supplied when the flow starts, declared like a node's `reads`.
+       * Used by validate() and, in strict-state runs, checked when the flow starts.
+       * @type {Array<string>|Object<string, Object|boolean>|null}
+       */
+      this.inputs = null;
+
+      /**
+       * Node the flow continues with when a node fails and has no 'error' successor (null to throw instead)
+       * @type {BaseNode|null}
+       */
+      this.errorHandler = null;
+
+      /**
+       * Shared key receiving {node, message, error} when a failure is routed to an error successor or handler
+       * @type {string}
+       */
+      this.errorKey = 'error';
+    }
+
+    /**
+     * Sets the starting node for this flow
+     * @param {BaseNode} startNode - The starting node
+     * @returns {BaseNode} The starting node (for chaining)
+     */
+    start(startNode) {
+      if (!(startNode instanceof BaseNode)) {
+        throw new TypeError("Start node must be a BaseNode instance");
+      }
+      this.startNode = startNode;
+      return startNode;
+    }
+
+    /**
+     * Sets the catch-all error handler: the node the flow continues with when a node fails
+     * after its retries and fallback and has no 'error' successor
+     * @param {BaseNode|null} handler - The handler node, or null to remove it
+     * @returns {BaseNode|null} The handler node (for chaining)
+     * @throws {TypeError} If handler is not a BaseNode
+     */
+    onError(handler) {
+      if (handler !== null && !(handler instanceof BaseNode)) {
+        throw new TypeError("Error handler must be a BaseNode instance");
+      }
+      this.errorHandler = handler;
+      return handler;
+    }
+
+    /**
+     * Gets the next node based on the current node and action (see matchTransition)
+     * @param {BaseNode} curr - Current node
+     * @param {string} action - Action name
+     * @param {Object} [shared={}] - Shared context object, passed to guard predicates
+     * @param {*} [execRes] - Exec result of the node, passed to guard predicates
+     * @returns {BaseNode|null} The next node or null if not found
+     */
+    getNextNode(curr, action, shared = {}, execRes = undefined) {
+      return this.matchTransition(curr, action, shared, execRes).next;
+    }
+
+    /**
+     * Finds the transition a node takes: the first guard whose predicate holds, in the order the guards
+     * were connected, then the successor for the action, then the wildcard successor ('*')
+     * @param {BaseNode} curr - Current node
+     * @param {string} action - Action name
+     * @param {Object} [shared={}] - Shared context object, passed to guard predicates
+     * @param {*} [execRes] - Exec result of the node, passed to guard predicates
+     * @returns {{next: BaseNode|null, guard: string|null}} The next node (null if none matched) and the name
+     *   of the guard that matched, '*' for the wildcard, or null for an action match
+     */
+    matchTransition(curr, action, shared = {}, execRes = undefined) {
+      const nextAction = action || "default";
+      const guards = curr.guards || [];
+      for (const { name, predicate } of guards) {
+        if (curr.successors[name] && predicate(shared, action, execRes)) {
+          return { next: curr.successors[name], guard: name };
+        }
+      }
+
+      // Guarded successors are only taken through their predicates
+      const guarded = new Set(guards.map(guard => guard.name));
+      if (!guarded.has(nextAction) && curr.successors[nextAction]) {
+        return { next: curr.successors[nextAction], guard: null };
+      }
+      if (curr.successors['*']) return { next: curr.successors['*'], guard: '*' };
+
+      // An 'error' successor alone does not mean the node was expected to continue
+      const actions = Object.keys(curr.successors).filter(key => !guarded.has(key));
+      if (guarded.size > 0 || actions.some(key => key !== 'error')) {
+        const unmatched = guarded.size > 0 ? ` and no guard matched (${[...guarded].join(', ')})` : '';
+        warnings.warn(`Flow ends: '${nextAction}' not found in ${JSON.stringify(actions)}${unmatched}`);
+      }
+      return { next: null, guard: null };
+    }
+
+    /**
+     * Statically analyses the flow's graph, including nested flows. Reports unreachable nodes,
+     * declared actions without a successor, cycles without an exit edge, async nodes in
+     * synchronous flows and flows without a start node.
+     * @returns {{valid: boolean, issues: Array<Object>}} Result; valid is false if any issue has severity 'error'
+     */
+    validate() {
+      const issues = validateGraph(this);
+      return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+    }
+
+    /**
+     * Validates the flow once, before its first run, when strict mode is enabled
+     * @throws {ValidationError} If validation reports errors
+     * @protected
+     */
+    _validateIfStrict() {
+      if (!this.strict || this._validated) return;
+
+      const { valid, issues } = this.validate();
+      if (!valid) throw new ValidationError(issues);
+
+      issues.forEach(issue => warnings.warn(issue.message));
+      this._validated = true;
+    }
+
+    /**
+     * Executes this flow
+     * @param {Object} shared - Shared context object
+     * @param {Object} [options={}] - Run options
+     * @param {string} [options.cache='use'] - How memoized nodes use their caches: 'use', 'bypass' or 'refresh'
+     * @param {Cassette} [options.cassette] - Cassette recording or replaying the exec calls of the run
+     * @param {boolean} [options.details=false] - Return {result, steps, limit, compensations} instead of the result
+     * @returns {*} Result of flow execution
+     * @throws {ValidationError} In strict mode, if the graph is invalid
+     */
+    run(shared, options = {}) {
+      this._validateIfStrict();
+      return runOutcome(super.run(shared, options), this.lastRun, options);
+    }
+
+    /**
+     * Builds a flow from a declarative definition.
+     * Nodes are created by registered type name; flows nested as nodes are defined recursively.
+     * @example
+     * Flow.fromDefinition({
+     *   type: 'AsyncFlow',
+     *   start: 'decide',
+     *   nodes: {
+     *     decide: { type: 'DecideActionNode', maxRetries: 3, wait: 5, next: { search: 'search', answer: 'answer' } },
+     *     search: { type: 'SearchWebNode', next: { decide: 'decide' } },
+     *     answer: { type: 'AnswerQuestionNode' }
+     *   }
+     * }, registry);
+     * @param {Object|string} definition - Definition object, or its JSON text
+     * @param {NodeRegistry} [registry=FlowFramework.registry] - Registry resolving type names
+     * @returns {Flow} The flow described by the definition
+     * @throws {DefinitionError} If the definition is invalid
+     */
+    static fromDefinition(definition, registry = defaultRegistry) {
+      typeChecks.validateInstance(registry, NodeRegistry, "Registry");
+
+      if (typeof definition === 'string') {
+        try {
+          definition = JSON.parse(definition);
+        } catch (e) {
+          throw new DefinitionError([{ path: 'definition', message: `is not valid JSON (${e.message})` }]);
+        }
+      }
+
+      const errors = [];
+      checkDefinition(definition, 'definition', registry, errors);
+      if (errors.length === 0 && definition.next !== undefined) {
+        errors.push({ path: 'definition.next', message: 'the root flow cannot define successors' });
+      }
+      if (errors.length === 0 && !(registry.get(definition.type).prototype instanceof Flow) && registry.get(definition.type) !== Flow) {
+        errors.push({ path: 'definition.type', message: `'${definition.type}' is not a flow` });
+      }
+      if (errors.length > 0) throw new DefinitionError(errors);
+
+      return instantiateDefinition(definition, null, registry);
+    }
+
+    /**
+     * Serializes this flow into a definition accepted by Flow.fromDefinition.
+     * Nodes are named by their id, or by their class name when they have none.
+     * @param {NodeRegistry} [registry=FlowFramework.registry] - Registry providing the type names
+     * @returns {Object} Flow definition
+     * @throws {DefinitionError} If a node class is not registered
+     */
+    toDefinition(registry = defaultRegistry) {
+      typeChecks.validateInstance(registry, NodeRegistry, "Registry");
+      return describeDefinition(this, registry);
+    }
+
+    /**
+     * Renders this flow's graph as a Mermaid flowchart.
+     * Edges are labelled with their action (except "default"), nested flows become subgraphs,
+     * and batch and async nodes get distinct shapes.
+     * @param {Object} [options={}] - Rendering options
+     * @param {string} [options.direction="TD"] - Flowchart direction (TD, LR, BT or RL)
+     * @returns {string} Mermaid source
+     */
+    toMermaid(options = {}) {
+      const { direction = "TD" } = options;
+      typeChecks.validateString(direction, "Direction");
+      return renderMermaid(this, direction);
+    }
+
+    /**
+     * Renders this flow's graph in the Graphviz DOT language.
+     * Edges are labelled with their action (except "default"), nested flows become clusters,
+     * and batch and async nodes get distinct styles.
+     * @param {Object} [options={}] - Rendering options
+     * @param {string} [options.rankdir="TB"] - Graph direction (TB, LR, BT or RL)
+     * @returns {string} DOT source
+     */
+    toDot(options = {}) {
+      const { rankdir = "TB" } = options;
+      typeChecks.validateString(rankdir, "Rank direction");
+      return renderDot(this, rankdir);
+    }
+
+    /**
+     * Emits a transition event when the flow moves on to another node
+     * @param {Object} ctx - Run context of the node that just finished
+     * @param {BaseNode} curr - Node that just finished
+     * @param {*} action - Action returned by the node
+     * @param {BaseNode|null} next - Node the flow continues with
+     * @param {string|null} [guard=null] - Name of the guard that matched, or '*' for the wildcard
+     * @protected
+     */
+    _emitTransition(ctx, curr, action, next, guard = null) {
+      if (next) {
+        emitEvent(ctx, 'transition', guard
+          ? { node: curr, action: action || "default", next, guard }
+          : { node: curr, action: action || "default", next });
+      }
+    }
+
+    /**
+     * Routes a node's failure to its 'error' successor or to the flow's error handler,
+     * recording the failure in the shared context
+     * @param {Object} shared - Shared context object
+     * @param {BaseNode} node - Node that failed
+     * @param {*} error - The error it threw
+     * @param {Object} ctx - Run context of the node
+     * @returns {BaseNode} The node the flow continues with
+     * @throws {*} The error, if it cannot be routed
+     * @protected
+     */
+    _routeError(shared, node, error, ctx) {
+      let next = null;
+      if (routableError(error)) {
+        next = node.successors.error || (node !== this.errorHandler ? this.errorHandler : null);
+      }
+      if (!next) throw error;
+
+      const message = error && error.message !== undefined ? String(error.message) : String(error);
+      shared[this.errorKey] = { node: nodeLabel(node), message, error };
+      emitEvent(ctx, 'transition', { node, action: 'error', next, error });
+      return next;
+    }
+
+    /**
+     * Undoes the completed nodes of a failed run in reverse order, recording the outcomes in the run's stats.
+     * Suspended runs are not undone.
+     * @param {*} error - The error the flow failed with
+     * @param {Object} ctx - Run context of the flow
+     * @returns {*} The error to throw: the original one carrying the outcomes as `compensations`,
+     *   or a CompensationError if a compensation failed
+     * @protected
+     */
+    _compensate(error, ctx) {
+      if (error instanceof Interrupt || ctx.compensations.length === 0) return error;
+
+      const outcomes = ctx.stats.compensations;
+      ctx.compensations.splice(0).reverse().forEach(entry => {
+        outcomes.push(compensateEntry(ctx, entry, () => entry.running.compensate(entry.shared, entry.prepRes, entry.execRes)));
+      });
+      return compensatedError(error, outcomes);
+    }
+
+    /**
+     * Checks, in strict-state runs, that the shared context supplies the flow's declared inputs
+     * @param {Object} shared - Shared context object
+     * @param {Object} ctx - Run context of the flow
+     * @throws {ContractError} If an input is missing or does not match its schema
+     * @protected
+     */
+    _checkInputs(shared, ctx) {
+      const inputs = contractKeys(this.inputs, 'inputs');
+      if (!inputs) return;
+
+      const flow = ctx.flow || this;
+      inputs.forEach((schema, key) => {
+        if (!(key in shared)) {
+          throw new ContractError(flow, key, `${nodeLabel(flow)} expects input '${key}'`);
+        }
+        const mismatch = schemaMismatch(shared[key], schema, `shared.${key}`);
+        if (mismatch) throw new ContractError(flow, key, `${nodeLabel(flow)} input '${key}': ${mismatch}`);
+      });
+    }
+
+    /**
+     * Checks the step budget and the visit limit before a node runs
+     * @param {BaseNode} node - The node about to run
+     * @param {number} steps - Steps taken so far in this pass
+     * @param {Map<BaseNode, number>} visits - Visits per node so far in this pass
+     * @returns {string|null} The exceeded limit ('maxSteps' or 'maxVisits'), or null
+     * @protected
+     */
+    _exceededLimit(node, steps, visits) {
+      if (this.maxSteps !== null && steps >= this.maxSteps) return 'maxSteps';
+      if (this.maxVisits !== null && (visits.get(node) || 0) >= this.maxVisits) return 'maxVisits';
+      return null;
+    }
+
+    /**
+     * Handles an exceeded limit by returning the limit action, or throwing if there is none
+     * @param {Object} ctx - Run context of the flow
+     * @param {string} limit - The exceeded limit
+     * @param {BaseNode} node - The node that was about to run
+     * @param {number} steps - Steps taken so far in this pass
+     * @returns {string} The limit action
+     * @throws {LimitExceededError} If no limit action is configured
+     * @protected
+     */
+    _handleLimit(ctx, limit, node, steps) {
+      if (ctx.stats) ctx.stats.limit = limit;
+      emitEvent(ctx, 'limit', { node, limit, steps });
+
+      if (this.limitAction === null) {
+        throw new LimitExceededError(limit, node, steps);
+      }
+      warnings.warn(`Flow exceeded ${limit} at node ${nodeLabel(node)}; ending with action '${this.limitAction}'`);
+      return this.limitAction;
+    }
+
+    /**
+     * Wraps a run of this flow with flow:start/flow:end events; if the run fails, the flow's completed
+     * nodes are compensated first
+     * @param {Object} ctx - Run context of the caller
+     * @param {Function} body - Receives the flow's own run context and returns the result
+     * @returns {*} Result of body
+     * @protected
+     */
+    _runScope(ctx, body) {
+      // Nested flows are shallow copies; report the instance the graph was built with
+      const flow = ctx.node || this;
+      const parentFlow = ctx.flow || null;
+      const stats = { steps: 0, limit: null, compensations: [] };
+      // Top-level runs hand their statistics to the caller, since flow.lastRun is shared by concurrent runs
+      if (!parentFlow) ctx.runStats = stats;
+      const flowCtx = {
+        ...ctx, flow, node: null, stats, strictState: Boolean(ctx.strictState || this.strictState),
+        emitters: [this.events, ...(ctx.emitters || [globalEvents])], compensations: []
+      };
+      const started = now();
+      emitEvent(flowCtx, 'flow:start', { parentFlow });
+
+      try {
+        const action = body(flowCtx);
+        if (!parentFlow && replaying(ctx)) ctx.cassette.assertFinished();
+        // The enclosing flow undoes this flow's nodes too if it fails later
+        if (ctx.compensations) ctx.compensations.push(...flowCtx.compensations);
+        flow.lastRun = stats;
+        emitEvent(flowCtx, 'flow:end', { parentFlow, action, steps: stats.steps, duration: now() - started });
+        return action;
+      } catch (error) {
+        const failure = this._compensate(error, flowCtx);
+        flow.lastRun = stats;
+        emitEvent(flowCtx, 'flow:end', { parentFlow, error: failure, steps: stats.steps, duration: now() - started });
+        throw failure;
+      }
+    }
+
+    /**
+     * Orchestrates one parameter set of a batch run, wrapped in batch:start/batch:end events
+     * @param {Object} shared - Shared context object
+     * @param {Object} params - Parameters for this batch item
+     * @param {number} index - Index of the parameter set
+     * @param {Object} ctx - Run context of the batch flow
+     * @returns {*} Final execution result of the item
+     * @protected
+     */
+    _orchestrateBatchItem(shared, params, index, ctx) {
+      const itemCtx = childContext(ctx, { batchIndex: index });
+      const started = now();
+      emitEvent(itemCtx, 'batch:start', { params });
+
+      try {
+        const action = this._orchestrate(shared, params, itemCtx);
+        emitEvent(itemCtx, 'batch:end', { params, action, duration: now() - started });
+        return action;
+      } catch (error) {
+        emitEvent(itemCtx, 'batch:end', { params, error, duration: now() - started });
+        throw error;
+      }
+    }
+
+    /**
+     * Orchestrates node execution through the flow
+     * @param {Object} shared - Shared context object
+     * @param {Object} [params=null] - Parameters to pass to nodes
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Final execution result
+     * @protected
+     */
+    _orchestrate(shared, params = null, ctx = {}) {
+      if (!this.startNode) {
+        warnings.warn("Flow has no start node");
+        return null;
+      }
+
+      let curr = this.startNode;
+      let p = params || { ...this.params };
+      let lastAction = null;
+      let step = 0;
+      const visits = new Map();
+      if (ctx.strictState) this._checkInputs(shared, ctx);
+
+      while (curr) {
+        const limit = this._exceededLimit(curr, step, visits);
+        if (limit) return this._handleLimit(ctx, limit, curr, step);
+        step++;
+        visits.set(curr, (visits.get(curr) || 0) + 1);
+        if (ctx.stats) ctx.stats.steps++;
+
+        // Create a shallow copy of the current node to avoid side effects
+        const currentNode = shallowCopy(curr);
+        currentNode.setParams(p);
+        const nodeCtx = childContext(ctx, { node: curr });
+        let next;
+        try {
+          lastAction = currentNode._run(sharedForNode(shared, curr, ctx), nodeCtx);
+          const match = this.matchTransition(curr, lastAction, shared, nodeCtx.execRes);
+          next = match.next;
+          this._emitTransition(nodeCtx, curr, lastAction, next, match.guard);
+        } catch (error) {
+          next = this._routeError(shared, curr, error, nodeCtx);
+          lastAction = 'error';
+        }
+        curr = next;
+      }
+
+      return lastAction;
+    }
+
+    /**
+     * Internal run method that orchestrates the flow execution
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Result of flow execution
+     * @protected
+     */
+    _run(shared, ctx = {}) {
+      return this._runScope(ctx, flowCtx => {
+        const p = this.prep(shared);
+        const o = this._orchestrate(shared, null, flowCtx);
+        return this.post(shared, p, o);
+      });
+    }
+  }
+
+  /**
+   * Processes multiple parameter sets through a flow
+   * @class
+   * @extends Flow
+   */
+  class BatchFlow extends Flow {
+    /**
+     * Internal run method that processes each parameter set
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Result of batch flow execution
+     * @protected
+     */
+    _run(shared, ctx = {}) {
+      return this._runScope(ctx, flowCtx => {
+        const pr = this.prep(shared) || [];
+
+        if (!Array.isArray(pr)) {
+          warnings.warn("BatchFlow expected an array from prep() but received " + typeof pr);
+          return this.post(shared, pr, null);
+        }
+
+        pr.forEach((bp, index) => {
+          this._orchestrateBatchItem(shared, { ...this.params, ...bp }, index, flowCtx);
+        });
+
+        return this.post(shared, pr, null);
+      });
+    }
+  }
+
+  /**
+   * Asynchronous node with retry capabilities
+   * @class
+   * @extends Node
+   */
+  class AsyncNode extends Node {
+    /**
+     * Creates a new AsyncNode instance
+     * @param {number|RetryPolicy} [maxRetries=1] - Maximum number of retry attempts, or a retry policy
+     * @param {number} [wait=0] - Wait time between retries (seconds)
+     */
+    constructor(maxRetries = 1, wait = 0) {
+      super(maxRetries, wait);
+
+      /**
+       * Time limit of each execAsync attempt in seconds (null for no limit)
+       * @type {number|null}
+       */
+      this.timeout = null;
+
+      /**
+       * Time limit of all attempts together, including the waits between them, in seconds (null for no limit)
+       * @type {number|null}
+       */
+      this.totalTimeout = null;
+    }
+
+    /**
+     * Asynchronous preparation phase
+     * @param {Object} shared - Shared context object
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled
+     * @returns {Promise<*>} Promise resolving to preparation result
+     */
+    async prepAsync(shared, signal) {
+      return null;
+    }
+
+    /**
+     * Asynchronous execution phase
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled or the attempt times out
+     * @param {number|null} [deadline] - Date.now() timestamp by which the attempt must finish, or null
+     * @param {Function} [emit] - Publishes a partial result of the attempt as a 'node:chunk' event
+     * @returns {Promise<*>} Promise resolving to execution result, or an async iterable of chunks
+     *   that are published one by one and then combined by collectChunks()
+     */
+    async execAsync(prepRes, signal, deadline, emit) {
+      return null;
+    }
+
+    /**
+     * Combines the chunks of an execAsync attempt that returned an async iterable into its result
+     * @param {Array<*>} chunks - The chunks in the order they were produced
+     * @returns {*} The chunks joined into one string if they are all strings, otherwise the array
+     */
+    collectChunks(chunks) {
+      return chunks.every(chunk => typeof chunk === 'string') ? chunks.join('') : chunks;
+    }
+
+    /**
+     * Asynchronous fallback execution handler
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {Error} exc - The exception that caused the failure
+     * @returns {Promise<*>} Promise resolving to fallback result
+     * @throws {Error} The original exception by default
+     */
+    async execFallbackAsync(prepRes, exc) {
+      throw exc;
+    }
+
+    /**
+     * Asynchronous post-processing phase
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {*} execRes - Result from the execAsync phase
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled
+     * @returns {Promise<*>} Promise resolving to final result
+     */
+    async postAsync(shared, prepRes, execRes, signal) {
+      return execRes;
+    }
+
+    /**
+     * Asynchronously undoes the side effects of a completed run of this node after a later node failed.
+     * Calls compensate() by default.
+     * @param {Object} shared - Shared context object, as the node saw it
+     * @param {*} prepRes - Result from the prepAsync phase of the completed run
+     * @param {*} execRes - Result from the execAsync phase of the completed run
+     * @returns {Promise<void>} Promise resolving once the side effects are undone
+     */
+    async compensateAsync(shared, prepRes, execRes) {
+      return this.compensate(shared, prepRes, execRes);
+    }
+
+    /**
+     * Internal asynchronous execution method, answered from the node's cache when the node is memoized
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to execution result
+     * @throws {CancellationError} If the run is cancelled
+     * @throws {TimeoutError} If the run's deadline passes
+     * @protected
+     */
+    async _exec(prepRes, ctx = {}) {
+      const memo = memoFor(this, prepRes, ctx);
+      if (!memo) return await this._execAttempts(prepRes, ctx);
+
+      const node = ctx.node || this;
+      const hit = memo.read ? cacheHit(await memo.store.get(memo.key)) : null;
+      if (hit) {
+        emitEvent(ctx, 'cache:hit', { node, key: memo.key });
+        return hit.value;
+      }
+
+      emitEvent(ctx, 'cache:miss', { node, key: memo.key, reason: memo.read ? 'missing' : 'refresh' });
+      const run = {};
+      const result = await this._execAttempts(prepRes, ctx, run);
+      const entry = run.fallback ? null : cacheEntry(result, memo, node);
+      if (entry) await memo.store.set(memo.key, entry);
+      return result;
+    }
+
+    /**
+     * Runs the execAsync attempts with retry logic
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {Object} [ctx={}] - Run context
+     * @param {Object} [run={}] - Receives `fallback: true` if the result came from execFallbackAsync
+     * @returns {Promise<*>} Promise resolving to execution result
+     * @throws {CancellationError} If the run is cancelled
+     * @throws {TimeoutError} If the run's deadline passes
+     * @protected
+     */
+    async _execAttempts(prepRes, ctx = {}, run = {}) {
+      const signal = ctx.signal || null;
+      const node = ctx.node || this;
+
+      if (this.timeout !== null) typeChecks.validatePositiveNumber(this.timeout, "Timeout");
+      if (this.totalTimeout !== null) typeChecks.validatePositiveNumber(this.totalTimeout, "Total timeout");
+      const nodeDeadline = this.totalTimeout !== null ? Date.now() + this.totalTimeout * 1000 : null;
+      const policy = this._getRetryPolicy();
+
+      // A local counter keeps concurrent batch items from sharing their retry state
+      for (let retry = 0; retry < policy.maxAttempts; retry++) {
+        this.curRetry = retry;
+        throwIfAborted(signal);
+
+        const attempt = retry + 1;
+        if (ctx.outcome) ctx.outcome.attempts = attempt;
+        const started = now();
+        emitEvent(ctx, 'node:exec:attempt', { node, attempt });
+        const chunks = chunkChannel(ctx, node, attempt);
+
+        try {
+          const call = () => this._attempt(prepRes, signal, nodeDeadline, ctx.deadline || null, chunks.emit);
+          const result = ctx.cassette ? await ctx.cassette._execAsync(node, this, prepRes, call) : await call();
+          chunks.close();
+          emitEvent(ctx, 'node:exec', { node, attempt, duration: now() - started });
+          return result;
+        } catch (e) {
+          // An abandoned attempt may still be running; drop whatever it emits from now on
+          chunks.close();
+
+          // A cancelled, timed-out or suspended run is neither retried nor handed to the fallback
+          if (e instanceof CancellationError || (e instanceof TimeoutError && e.scope === 'run') || e instanceof Interrupt) throw e;
+          throwIfAborted(signal);
+
+          // The next attempt or the fallback replaces the output, so consumers discard this attempt's chunks
+          chunks.reset(e);
+
+          const retryable = policy.shouldRetry(e, attempt);
+          const wait = retryable ? policy.delayFor(e, attempt) : 0;
+          const outOfTime = nodeDeadline !== null && Date.now() + wait * 1000 >= nodeDeadline;
+          if (!retryable || outOfTime) {
+            emitEvent(ctx, 'node:fallback', { node, attempt, error: e, duration: now() - started });
+            run.fallback = true;
+            return await this.execFallbackAsync(prepRes, e);
+          }
+
+          emitEvent(ctx, 'node:retry', { node, attempt, error: e, wait, duration: now() - started });
+
+          if (wait > 0 && !replaying(ctx)) {
+            await sleep(wait * 1000, signal);
+          }
+        }
+      }
+    }
+
+    /**
+     * Runs one execAsync attempt, failing it with a TimeoutError once the attempt's
+     * or the node's time limit passes, and as soon as the run is cancelled
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {AbortSignal|null} signal - Signal of the run
+     * @param {number|null} nodeDeadline - Deadline of all attempts together
+     * @param {number|null} runDeadline - Deadline of the whole run
+     * @param {Function} [emit=() => {}] - Chunk callback handed to execAsync
+     * @returns {Promise<*>} Promise resolving to the attempt's result
+     * @protected
+     */
+    async _attempt(prepRes, signal, nodeDeadline, runDeadline, emit = () => {}) {
+      let deadline = nodeDeadline;
+      let scope = 'node';
+      if (this.timeout !== null) {
+        const attemptDeadline = Date.now() + this.timeout * 1000;
+        if (deadline === null || attemptDeadline < deadline) {
+          deadline = attemptDeadline;
+          scope = 'attempt';
+        }
+      }
+
+      if (deadline === null) {
+        return await untilAborted(() => this._collect(this.execAsync(prepRes, signal, runDeadline, emit), signal, emit), signal);
+      }
+
+      // The run's own signal enforces the run deadline; report whichever comes first
+      const error = new TimeoutError(scope, scope === 'attempt' ? this.timeout : this.totalTimeout);
+      const scoped = deadlineSignal(signal, deadline, error);
+      const reported = runDeadline !== null && runDeadline < deadline ? runDeadline : deadline;
+      try {
+        return await untilAborted(
+          () => this._collect(this.execAsync(prepRes, scoped.signal, reported, emit), scoped.signal, emit), scoped.signal
+        );
+      } finally {
+        scoped.release();
+      }
+    }
+
+    /**
+     * Resolves the result of execAsync, publishing and collecting the chunks if it is an async iterable
+     * @param {Promise<*>} pending - Promise returned by execAsync
+     * @param {AbortSignal|null} signal - Signal of the attempt; aborting it stops reading chunks
+     * @param {Function} emit - Chunk callback of the attempt
+     * @returns {Promise<*>} Promise resolving to the attempt's result
+     * @protected
+     */
+    async _collect(pending, signal, emit) {
+      const result = await pending;
+      if (result === null || typeof result !== 'object' || typeof result[Symbol.asyncIterator] !== 'function') {
+        return result;
+      }
+
+      const chunks = [];
+      for await (const chunk of result) {
+        throwIfAborted(signal);
+        emit(chunk);
+        chunks.push(chunk);
+      }
+      return this.collectChunks(chunks);
+    }
+
+    /**
+     * Asynchronously executes this node
+     * @param {Object} shared - Shared context object
+     * @param {Object} [options={}] - Run options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the run
+     * @param {number} [options.timeout] - Deadline of the whole run, in seconds
+     * @param {string} [options.cache='use'] - How memoized nodes use their caches: 'use', 'bypass' or 'refresh'
+     * @param {Cassette} [options.cassette] - Cassette recording or replaying the exec calls of the run
+     * @returns {Promise<*>} Promise resolving to execution result
+     * @throws {CancellationError} If the run is cancelled
+     * @throws {TimeoutError} If the run's deadline passes
+     */
+    async runAsync(shared, options = {}) {
+      if (Object.keys(this.successors).length > 0) {
+        warnings.warn("Node won't run successors. Use AsyncFlow.");
+      }
+
+      const ctx = createRunContext(options);
+      try {
+        return await this._runAsync(shared, ctx);
+      } finally {
+        releaseRunContext(ctx);
+      }
+    }
+
+    /**
+     * Internal asynchronous run method
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to execution result
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      const signal = ctx.signal || null;
+      const node = ctx.node || this;
+      const started = now();
+      emitEvent(ctx, 'node:start', { node });
+
+      try {
+        throwIfAborted(signal);
+        let phaseStart = now();
+        const p_res = await this.prepAsync(shared, signal);
+        emitEvent(ctx, 'node:prep', { node, duration: now() - phaseStart });
+
+        throwIfAborted(signal);
+        const e_res = await this._exec(p_res, ctx); // _exec internally calls execAsync
+
+        throwIfAborted(signal);
+        phaseStart = now();
+        const post_res = await this.postAsync(shared, p_res, e_res, signal);
+        recordCompletion(ctx, this, shared, p_res, e_res);
+        emitEvent(ctx, 'node:post', { node, action: post_res, duration: now() - phaseStart });
+        emitEvent(ctx, 'node:end', { node, action: post_res, duration: now() - started });
+        return post_res;
+      } catch (error) {
+        emitEvent(ctx, 'node:error', { node, error, duration: now() - started });
+        throw error;
+      }
+    }
+
+    /**
+     * Overridden to prevent synchronous execution
+     * @throws {Error} Always throws an error
+     * @protected
+     */
+    _run(shared) {
+      throw new Error("AsyncNode cannot be run synchronously. Use runAsync().");
+    }
+  }
+
+  /**
+   * Creates the chunk channel of one execAsync attempt. Each emit() call publishes a 'node:chunk' event
+   * with the attempt number and a running index, so consumers can show partial results as they arrive.
+   * Once the attempt is over the channel is closed and further chunks are dropped; reset() tells
+   * consumers to discard the chunks of a failed attempt.
+   * @param {Object} ctx - Run context of the node
+   * @param {BaseNode} node - Node reported in the events
+   * @param {number} attempt - Attempt the chunks belong to
+   * @returns {{emit: Function, close: Function, reset: Function}} The emit callback handed to execAsync,
+   *   a function closing the channel and a function emitting 'node:chunk:reset' if chunks were published
+   * @private
+   */
+  function chunkChannel(ctx, node, attempt) {
+    let index = 0;
+    let open = true;
+    return {
+      emit: chunk => {
+        if (open) emitEvent(ctx, 'node:chunk', { node, attempt, index: index++, chunk });
+      },
+      close: () => {
+        open = false;
+      },
+      reset: error => {
+        if (index > 0) emitEvent(ctx, 'node:chunk:reset', { node, attempt, chunks: index, error });
+      }
+    };
+  }
+
+  /**
+   * Utility for implementing mixin pattern
+   * @param {Function} derivedCtor - Derived class constructor
+   * @param {Function[]} baseCtors - Base class constructors to mix in
+   * @private
+   */
+  function applyMixins(derivedCtor, baseCtors) {
+    baseCtors.forEach(baseCtor => {
+      Object.getOwnPropertyNames(baseCtor.prototype).forEach(name => {
+        // Only add if the method doesn't already exist on the derived prototype
+        if (name !== 'constructor' && !Object.prototype.hasOwnProperty.call(derivedCtor.prototype, name)) {
+          Object.defineProperty(
+            derivedCtor.prototype,
+            name,
+            Object.getOwnPropertyDescriptor(baseCtor.prototype, name)
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Asynchronous node that processes items in a batch (sequentially)
+   * @class
+   * @extends AsyncNode
+   */
+  class AsyncBatchNode extends AsyncNode {
+    /**
+     * Creates a new AsyncBatchNode instance
+     * @param {number|RetryPolicy} [maxRetries=1] - Maximum number of retry attempts, or a retry policy
+     * @param {number} [wait=0] - Wait time between retries (seconds)
+     */
+    constructor(maxRetries = 1, wait = 0) {
+      super(maxRetries, wait);
+
+      /**
+       * BatchNode implementation for delegation
+       * @type {BatchNode}
+       * @private
+       */
+      this._batchImpl = new BatchNode(maxRetries, wait);
+
+      initBatchFailureHandling(this);
+    }
+
+    /**
+     * Internal asynchronous execution method that processes each item sequentially
+     * @param {Array} items - Items to process
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<Array>} Promise resolving to array of execution results, or of outcomes in settle mode
+     * @throws {BatchError} In settle mode, if more than maxFailures items fail
+     * @protected
+     */
+    async _exec(items, ctx = {}) {
+      if (!items) return [];
+
+      if (!Array.isArray(items)) {
+        warnings.warn("AsyncBatchNode expected an array but received " + typeof items);
+        return [await super._exec(items, ctx)];
+      }
+
+      const settler = new BatchSettler(this);
+      const results = [];
+      for (let index = 0; index < items.length; index++) {
+        const outcome = settler.start(items[index], index);
+        try {
+          results.push(settler.fulfilled(outcome, await super._exec(items[index], { ...ctx, item: index, outcome })));
+        } catch (error) {
+          results.push(settler.rejected(outcome, error));
+        }
+      }
+      return settler.result(results);
+    }
+  }
+
+  /**
+   * Tells whether a value can be processed item by item: an array, or any other sync or async iterable except strings
+   * @param {*} value - The value to check
+   * @returns {boolean} True if the value is a batch source
+   * @private
+   */
+  function isBatchSource(value) {
+    return value !== null && typeof value === 'object' &&
+      (typeof value[Symbol.iterator] === 'function' || typeof value[Symbol.asyncIterator] === 'function');
+  }
+
+  /**
+   * Validates a concurrency setting
+   * @param {*} value - The value to check
+   * @throws {TypeError} If the value is neither null nor an integer of at least 1
+   * @private
+   */
+  function validateConcurrency(value) {
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      throw new TypeError("Concurrency must be null or an integer of at least 1");
+    }
+  }
+
+  /**
+   * Runs a task for every item of an array or (async) iterable with at most `limit` tasks in flight.
+   * Items are pulled lazily, only when a worker is free. Results keep the input order.
+   * The first failure rejects the returned promise and stops pulling further items.
+   * @param {Iterable|AsyncIterable} source - Items to process
+   * @param {number|null} limit - Maximum number of tasks in flight; null for no limit
+   * @param {Function} task - Receives (item, index) and returns a promise
+   * @param {AbortSignal|null} [signal=null] - Signal that stops pulling items when the run is cancelled
+   * @returns {Promise<Array>} Promise resolving to the results in input order
+   * @private
+   */
+  async function mapConcurrent(source, limit, task, signal = null) {
+    if (Array.isArray(source) && (limit === null || limit >= source.length)) {
+      return await Promise.all(source.map((item, index) => task(item, index)));
+    }
+
+    const iterator = typeof source[Symbol.asyncIterator] === 'function'
+      ? source[Symbol.asyncIterator]()
+      : source[Symbol.iterator]();
+    const results = [];
+    let nextIndex = 0;
+    let exhausted = false;
+    let stopped = false;
+
+    // Reads from the iterator are chained so that concurrent workers never call next() at the same time
+    let reading = Promise.resolve();
+    const pull = () => {
+      const read = reading.then(async () => {
+        if (exhausted || stopped) return null;
+        throwIfAborted(signal);
+        const step = await iterator.next();
+        if (step.done) {
+          exhausted = true;
+          return null;
+        }
+        return { item: step.value, index: nextIndex++ };
+      });
+      reading = read.catch(() => { });
+      return read;
+    };
+
+    const tasks = [];
+    const worker = async () => {
+      try {
+        for (let entry = await pull(); entry; entry = await pull()) {
+          if (limit === null) {
+            // Without a limit, each pulled item starts right away and the worker keeps pulling
+            const pending = task(entry.item, entry.index).then(result => { results[entry.index] = result; });
+            pending.catch(() => { stopped = true; });
+            tasks.push(pending);
+          } else {
+            results[entry.index] = await task(entry.item, entry.index);
+          }
+        }
+      } catch (error) {
+        stopped = true;
+        throw error;
+      }
+    };
+
+    try {
+      const workers = [];
+      for (let n = 0; n < (limit === null ? 1 : limit); n++) workers.push(worker());
+      await Promise.all(workers);
+      await Promise.all(tasks);
+      return results;
+    } catch (error) {
+      stopped = true;
+      if (!exhausted && typeof iterator.return === 'function') {
+        Promise.resolve().then(() => iterator.return()).catch(() => { });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Asynchronous node that processes items in a batch (in parallel)
+   * @class
+   * @extends AsyncNode
+   */
+  class AsyncParallelBatchNode extends AsyncNode {
+    /**
+     * Creates a new AsyncParallelBatchNode instance
+     * @param {number|RetryPolicy} [maxRetries=1] - Maximum number of retry attempts, or a retry policy
      * @param {number} [wait=0] - Wait time between retries (seconds)
      */
-    constructor(maxRetries = 1, wait = 0) {
+    constructor(maxRetries = 1, wait = 0) {
+      super(maxRetries, wait);
+
+      /**
+       * Maximum number of items processed at the same time (null for no limit)
+       * @type {number|null}
+       */
+      this.concurrency = null;
+
+      initBatchFailureHandling(this);
+    }
+
+    /**
+     * Internal asynchronous execution method that processes the items in parallel, at most
+     * `concurrency` at a time. Items may be an array or a sync or async iterable, which is read lazily.
+     * Every in-flight item receives the run's signal, so a cancellation aborts them together.
+     * @param {Array|Iterable|AsyncIterable} items - Items to process
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<Array>} Promise resolving to array of execution results (or of outcomes in settle mode), in input order
+     * @throws {BatchError} In settle mode, if more than maxFailures items fail
+     * @protected
+     */
+    async _exec(items, ctx = {}) {
+      if (!items) return [];
+
+      if (!isBatchSource(items)) {
+        warnings.warn("AsyncParallelBatchNode expected an array or iterable but received " + typeof items);
+        return [await super._exec(items, ctx)];
+      }
+
+      validateConcurrency(this.concurrency);
+      const settler = new BatchSettler(this);
+      const results = await mapConcurrent(items, this.concurrency, async (item, index) => {
+        const outcome = settler.start(item, index);
+        try {
+          return settler.fulfilled(outcome, await super._exec(item, { ...ctx, item: index, outcome }));
+        } catch (error) {
+          return settler.rejected(outcome, error);
+        }
+      }, ctx.signal || null);
+      return settler.result(results);
+    }
+  }
+
+  /**
+   * Resolves a position recorded by a nested flow of a suspended run
+   * @param {Flow} flow - The nested flow
+   * @param {Object} frame - Position of the flow ({node, params, action, step, visits}, with node names)
+   * @returns {Object} The position with nodes in place of their names
+   * @throws {Error} If the position refers to a node that is not part of the flow
+   * @private
+   */
+  function resumeFrame(flow, frame) {
+    const nodes = new Map();
+    nameNodes(flow).forEach((name, node) => nodes.set(name, node));
+    if (!isPlainObject(frame) || !nodes.has(frame.node)) {
+      throw new Error(`Suspended state refers to a node that is not part of ${nodeLabel(flow)}`);
+    }
+
+    const visits = new Map();
+    Object.keys(frame.visits || {}).forEach(name => {
+      if (nodes.has(name)) visits.set(nodes.get(name), frame.visits[name]);
+    });
+    return { node: nodes.get(frame.node), params: deserialize(frame.params), action: frame.action, step: frame.step, visits };
+  }
+
+  /**
+   * Returns a value's content as a string, for telling whether it changed between two points
+   * of a run. Values that cannot be encoded (circular data, functions) are compared by identity.
+   * @param {*} value - The value to fingerprint
+   * @returns {*} JSON of the encoded value, or the value itself
+   * @private
+   */
+  function dataFingerprint(value) {
+    try {
+      const json = JSON.stringify(serialize(value));
+      return json === undefined ? value : json;
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * Fingerprints every key of a shared context
+   * @param {Object} shared - Shared context object
+   * @returns {Map<string, *>} Fingerprint of each key
+   * @private
+   */
+  function stateSnapshot(shared) {
+    const snapshot = new Map();
+    Object.keys(shared).forEach(key => snapshot.set(key, dataFingerprint(shared[key])));
+    return snapshot;
+  }
+
+  /**
+   * Lists the keys of a shared context that changed since the snapshot, and updates the snapshot.
+   * Changed plain data is copied so that later writes do not alter what was reported.
+   * @param {Map<string, *>} snapshot - Fingerprints taken by stateSnapshot()
+   * @param {Object} shared - Shared context object
+   * @returns {{changes: Object, removed: string[]}|null} New values of the changed keys and the
+   *   deleted keys, or null if nothing changed
+   * @private
+   */
+  function stateDiff(snapshot, shared) {
+    const changes = {};
+    const removed = [];
+
+    Object.keys(shared).forEach(key => {
+      const fingerprint = dataFingerprint(shared[key]);
+      if (snapshot.has(key) && snapshot.get(key) === fingerprint) return;
+      snapshot.set(key, fingerprint);
+      changes[key] = isDataObject(shared[key]) ? deepCopy(shared[key]) : shared[key];
+    });
+    snapshot.forEach((fingerprint, key) => {
+      if (Object.prototype.hasOwnProperty.call(shared, key)) return;
+      snapshot.delete(key);
+      removed.push(key);
+    });
+
+    return Object.keys(changes).length > 0 || removed.length > 0 ? { changes, removed } : null;
+  }
+
+  /**
+   * Asynchronous flow orchestrator
+   * @class
+   * @extends Flow
+   * @mixes AsyncNode
+   */
+  class AsyncFlow extends Flow {
+    /**
+     * Creates a new AsyncFlow instance
+     * @param {BaseNode} [startNode=null] - The starting node
+     */
+    constructor(startNode = null) {
+      super(startNode);
+
+      /**
+       * Current retry attempt (set during execution)
+       * @type {number}
+       */
+      this.curRetry = 0;
+
+      /**
+       * Maximum number of retry attempts
+       * @type {number}
+       */
+      this.maxRetries = 1;
+
+      /**
+       * Wait time between retries (seconds)
+       * @type {number}
+       */
+      this.wait = 0;
+    }
+
+    /**
+     * Asynchronous preparation phase
+     * @param {Object} shared - Shared context object
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled
+     * @returns {Promise<*>} Promise resolving to preparation result
+     */
+    async prepAsync(shared, signal) {
+      return null;
+    }
+
+    /**
+     * Asynchronous post-processing phase
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {*} execRes - Result from execution
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled
+     * @returns {Promise<*>} Promise resolving to final result
+     */
+    async postAsync(shared, prepRes, execRes, signal) {
+      return execRes;
+    }
+
+    /**
+     * Asynchronously orchestrates one parameter set of a batch run, wrapped in batch:start/batch:end events
+     * @param {Object} shared - Shared context object
+     * @param {Object} params - Parameters for this batch item
+     * @param {number} index - Index of the parameter set
+     * @param {Object} ctx - Run context of the batch flow
+     * @returns {Promise<*>} Promise resolving to the final execution result of the item
+     * @protected
+     */
+    async _orchestrateBatchItemAsync(shared, params, index, ctx) {
+      const itemCtx = childContext(ctx, { batchIndex: index });
+      const started = now();
+      emitEvent(itemCtx, 'batch:start', { params });
+
+      try {
+        const action = await this._orchestrateAsync(shared, params, itemCtx);
+        emitEvent(itemCtx, 'batch:end', { params, action, duration: now() - started });
+        return action;
+      } catch (error) {
+        emitEvent(itemCtx, 'batch:end', { params, error, duration: now() - started });
+        throw error;
+      }
+    }
+
+    /**
+     * Asynchronously orchestrates node execution through the flow
+     * @param {Object} shared - Shared context object
+     * @param {Object} [params=null] - Parameters to pass to nodes
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to final execution result
+     * @throws {CancellationError} If the run is cancelled
+     * @protected
+     */
+    async _orchestrateAsync(shared, params = null, ctx = {}) {
+      if (!this.startNode) {
+        warnings.warn("AsyncFlow has no start node");
+        return null;
+      }
+
+      let curr = this.startNode;
+      let p = params || { ...this.params };
+      let lastAction = null;
+      let step = 0;
+      let visits = new Map();
+      if (ctx.strictState) this._checkInputs(shared, ctx);
+
+      // Only the flow the run was started on resumes and writes checkpoints; nested flows run as one step
+      const checkpoint = ctx.checkpoint && ctx.checkpoint.flow === this ? ctx.checkpoint : null;
+      const names = checkpoint ? nameNodes(this) : null;
+      let resumed = null;
+      if (checkpoint && checkpoint.resume) {
+        ({ node: curr, params: p, action: lastAction, step, visits } = checkpoint.resume);
+        resumed = checkpoint.resume.interrupt || null;
+        if (ctx.stats) ctx.stats.steps = step;
+      } else if (ctx.interrupt && ctx.interrupt.flow === ctx.flow) {
+        // A nested flow that was suspended continues where its own node stopped
+        const [frame, ...frames] = ctx.interrupt.frames;
+        ({ node: curr, params: p, action: lastAction, step, visits } = resumeFrame(this, frame));
+        resumed = { input: ctx.interrupt.input, frames };
+        if (ctx.stats) ctx.stats.steps = step;
+      }
+
+      while (curr) {
+        throwIfAborted(ctx.signal);
+
+        const limit = this._exceededLimit(curr, step, visits);
+        if (limit) return this._handleLimit(ctx, limit, curr, step);
+        step++;
+        visits.set(curr, (visits.get(curr) || 0) + 1);
+        if (ctx.stats) ctx.stats.steps++;
+
+        // Create a shallow copy of the current node to avoid side effects
+        const currentNode = shallowCopy(curr);
+        currentNode.setParams(p);
+
+        // The node that suspended a resumed run receives the input; a nested flow passes it on
+        const nodeCtx = childContext(ctx, { node: curr, interrupt: null });
+        if (resumed && resumed.frames.length > 0) {
+          nodeCtx.interrupt = { flow: curr, frames: resumed.frames, input: resumed.input };
+        } else if (resumed) {
+          currentNode._resumeInput = { value: resumed.input };
+        }
+        resumed = null;
+
+        const nodeShared = sharedForNode(shared, curr, ctx);
+        let next;
+        try {
+          if (currentNode instanceof AsyncNode || currentNode instanceof AsyncFlow || currentNode instanceof SubFlow) {
+            lastAction = await currentNode._runAsync(nodeShared, nodeCtx);
+          } else {
+            lastAction = currentNode._run(nodeShared, nodeCtx);
+          }
+          const match = this.matchTransition(curr, lastAction, shared, nodeCtx.execRes);
+          next = match.next;
+          this._emitTransition(nodeCtx, curr, lastAction, next, match.guard);
+        } catch (error) {
+          if (error instanceof Interrupt) {
+            this._recordInterrupt(error, nodeCtx, currentNode, { node: curr, params: p, action: lastAction, step, visits });
+            throw error;
+          }
+          next = this._routeError(shared, curr, error, nodeCtx);
+          lastAction = 'error';
+        }
+
+        if (checkpoint && checkpoint.store) {
+          const saved = {
+            version: checkpointVersion,
+            key: checkpoint.key,
+            flow: nodeLabel(this),
+            node: names.get(curr),
+            action: lastAction === undefined ? null : lastAction,
+            next: next ? names.get(next) : null,
+            step,
+            visits: {},
+            params: serialize(p),
+            shared: serialize(shared),
+            createdAt: new Date().toISOString()
+          };
+          visits.forEach((count, node) => {
+            saved.visits[names.get(node)] = count;
+          });
+          await checkpoint.store.save(checkpoint.key, saved);
+          emitEvent(ctx, 'checkpoint', { node: curr, checkpoint: saved });
+        }
+
+        curr = next;
+      }
+
+      return lastAction;
+    }
+
+    /**
+     * Creates the run context for a top-level run, including its checkpoint settings
+     * @param {Object} options - Run options
+     * @param {Object} [resume=null] - Position to resume from ({node, params, action, step, visits})
+     * @returns {Object} Run context
+     * @throws {TypeError} If the checkpoint options are invalid or the flow cannot be checkpointed
+     * @protected
+     */
+    _createRunContext(options, resume = null) {
+      // The checkpoint settings are checked first, so an invalid one does not leave a run timer behind
+      const settings = options !== null && typeof options === 'object' ? options.checkpoint : undefined;
+      if (settings === undefined && !resume) return createRunContext(options);
+
+      if (this instanceof AsyncBatchFlow || this instanceof AsyncParallelBatchFlow) {
+        throw new TypeError(`${this.constructor.name} does not support checkpoints`);
+      }
+
+      let store = null;
+      let key = null;
+      if (settings !== undefined) {
+        if (!isPlainObject(settings)) {
+          throw new TypeError('Checkpoint options must be an object');
+        }
+        if (!settings.store || typeof settings.store.save !== 'function') {
+          throw new TypeError('Checkpoint store must implement save()');
+        }
+        typeChecks.validateString(settings.key, 'Checkpoint key');
+        ({ store, key } = settings);
+      }
+
+      const ctx = createRunContext(options);
+      ctx.checkpoint = { store, key, flow: this, resume };
+      return ctx;
+    }
+
+    /**
+     * Internal asynchronous run method
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to execution result
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      return await this._runScopeAsync(ctx, async flowCtx => {
+        const signal = flowCtx.signal || null;
+
+        throwIfAborted(signal);
+        // A suspended nested flow does not prepare again when the run resumes, like the flow resumeAsync is called on
+        const resuming = flowCtx.interrupt && flowCtx.interrupt.flow === flowCtx.flow;
+        const p = resuming ? null : await this.prepAsync(shared, signal);
+        const o = await this._orchestrateAsync(shared, null, flowCtx);
+        throwIfAborted(signal);
+        return await this.postAsync(shared, p, o, signal);
+      });
+    }
+
+    /**
+     * Adds this flow's position to an interrupt passing through it, so that a resumed run can return
+     * to the node that was running. The innermost flow also emits the 'interrupt' event.
+     * @param {Interrupt} interrupt - The interrupt thrown by the node
+     * @param {Object} ctx - Run context of the node
+     * @param {BaseNode} running - The copy of the node that was running
+     * @param {Object} position - Position when the node started ({node, params, action, step, visits})
+     * @throws {Error} If the interrupt comes from somewhere a resumed run cannot return to: a parallel
+     *   branch, a batch flow, a sub-flow or a synchronous flow
+     * @protected
+     */
+    _recordInterrupt(interrupt, ctx, running, position) {
+      const innermost = interrupt.frames.length === 0;
+      if (ctx.branch !== undefined || ctx.batchIndex !== undefined || ctx.subFlow !== undefined ||
+        (innermost && interrupt.node !== running)) {
+        throw new Error(
+          `${nodeLabel(interrupt.node)} cannot suspend the run from inside a parallel branch, a batch flow, a sub-flow or a synchronous flow`
+        );
+      }
+      if (innermost) emitEvent(ctx, 'interrupt', { node: position.node, payload: interrupt.payload });
+
+      // The node runs again when the run resumes, so its current visit is not counted yet
+      const names = nameNodes(this);
+      const visits = {};
+      position.visits.forEach((count, node) => {
+        const visited = node === position.node ? count - 1 : count;
+        if (visited > 0) visits[names.get(node)] = visited;
+      });
+      interrupt.frames.unshift({
+        flow: nodeLabel(ctx.flow),
+        node: names.get(position.node),
+        action: position.action === undefined ? null : position.action,
+        step: position.step - 1,
+        visits,
+        params: serialize(position.params)
+      });
+    }
+
+    /**
+     * Turns an interrupt that reached this flow into the suspended state a run resolves with,
+     * saving it to the run's checkpoint store if it has one
+     * @param {Interrupt} interrupt - The interrupt, with the positions of the flows it passed through
+     * @param {Object} shared - Shared context object
+     * @param {Object} ctx - Run context of the run
+     * @returns {Promise<Object>} Promise resolving to the suspended state
+     * @protected
+     */
+    async _suspend(interrupt, shared, ctx) {
+      const [frame, ...frames] = interrupt.frames;
+      const state = {
+        version: checkpointVersion,
+        status: 'suspended',
+        key: ctx.checkpoint ? ctx.checkpoint.key : null,
+        flow: nodeLabel(this),
+        node: frame.node,
+        action: frame.action,
+        next: frame.node,
+        step: frame.step,
+        visits: frame.visits,
+        params: frame.params,
+        shared: serialize(shared),
+        interrupt: { node: nodeLabel(interrupt.node), payload: serialize(interrupt.payload), frames },
+        createdAt: new Date().toISOString()
+      };
+
+      if (ctx.checkpoint && ctx.checkpoint.store) {
+        await ctx.checkpoint.store.save(ctx.checkpoint.key, state);
+      }
+      return state;
+    }
+
+    /**
+     * Asynchronously undoes the completed nodes of a failed run in reverse order, one at a time,
+     * recording the outcomes in the run's stats. Suspended runs are not undone.
+     * @param {*} error - The error the flow failed with
+     * @param {Object} ctx - Run context of the flow
+     * @returns {Promise<*>} Promise resolving to the error to throw: the original one carrying the
+     *   outcomes as `compensations`, or a CompensationError if a compensation failed
+     * @protected
+     */
+    async _compensateAsync(error, ctx) {
+      if (error instanceof Interrupt || ctx.compensations.length === 0) return error;
+
+      const outcomes = ctx.stats.compensations;
+      for (const entry of ctx.compensations.splice(0).reverse()) {
+        outcomes.push(await compensateEntry(ctx, entry, () => entry.running instanceof AsyncNode
+          ? entry.running.compensateAsync(entry.shared, entry.prepRes, entry.execRes)
+          : entry.running.compensate(entry.shared, entry.prepRes, entry.execRes)));
+      }
+      return compensatedError(error, outcomes);
+    }
+
+    /**
+     * Wraps an asynchronous run of this flow with flow:start/flow:end events; if the run fails,
+     * the flow's completed nodes are compensated first
+     * @param {Object} ctx - Run context of the caller
+     * @param {Function} body - Receives the flow's own run context and resolves to the result
+     * @returns {Promise<*>} Promise resolving to the result of body
+     * @protected
+     */
+    async _runScopeAsync(ctx, body) {
+      // Nested flows are shallow copies; report the instance the graph was built with
+      const flow = ctx.node || this;
+      const parentFlow = ctx.flow || null;
+      const stats = { steps: 0, limit: null, compensations: [] };
+      // Top-level runs hand their statistics to the caller, since flow.lastRun is shared by concurrent runs
+      if (!parentFlow) ctx.runStats = stats;
+      const flowCtx = {
+        ...ctx, flow, node: null, stats, strictState: Boolean(ctx.strictState || this.strictState),
+        emitters: [this.events, ...(ctx.emitters || [globalEvents])], compensations: []
+      };
+      const started = now();
+      emitEvent(flowCtx, 'flow:start', { parentFlow });
+
+      try {
+        const action = await body(flowCtx);
+        if (!parentFlow && replaying(ctx)) ctx.cassette.assertFinished();
+        // The enclosing flow undoes this flow's nodes too if it fails later
+        if (ctx.compensations) ctx.compensations.push(...flowCtx.compensations);
+        flow.lastRun = stats;
+        emitEvent(flowCtx, 'flow:end', { parentFlow, action, steps: stats.steps, duration: now() - started });
+        return action;
+      } catch (error) {
+        const failure = await this._compensateAsync(error, flowCtx);
+        flow.lastRun = stats;
+        emitEvent(flowCtx, 'flow:end', { parentFlow, error: failure, steps: stats.steps, duration: now() - started });
+        throw failure;
+      }
+    }
+
+    /**
+     * Asynchronously executes this flow
+     * @param {Object} shared - Shared context object
+     * @param {Object} [options={}] - Run options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the run
+     * @param {Object} [options.checkpoint] - Writes a checkpoint after each node of this flow
+     * @param {CheckpointStore} options.checkpoint.store - Store receiving the checkpoints
+     * @param {string} options.checkpoint.key - Key the checkpoints are saved under
+     * @param {number} [options.timeout] - Deadline of the whole run, in seconds
+     * @param {string} [options.cache='use'] - How memoized nodes use their caches: 'use', 'bypass' or 'refresh'
+     * @param {Cassette} [options.cassette] - Cassette recording or replaying the exec calls of the run
+     * @param {boolean} [options.details=false] - Resolve to {result, steps, limit, compensations} instead of the result
+     * @returns {Promise<*>} Promise resolving to execution result, or to a suspended state
+     *   (see AsyncFlow.isSuspended) if a node called interrupt()
+     * @throws {CancellationError} If the run is cancelled
+     * @throws {TimeoutError} If the run's deadline passes
+     * @throws {ValidationError} In strict mode, if the graph is invalid
+     */
+    async runAsync(shared, options = {}) {
+      this._validateIfStrict();
+
+      const ctx = this._createRunContext(options);
+      try {
+        return runOutcome(await this._runAsync(shared, ctx), ctx.runStats, options);
+      } catch (error) {
+        if (error instanceof Interrupt && error.frames.length > 0) {
+          return runOutcome(await this._suspend(error, shared, ctx), ctx.runStats, options);
+        }
+        throw error;
+      } finally {
+        releaseRunContext(ctx);
+      }
+    }
+
+    /**
+     * Tells whether a run result is the suspended state of a run that a node interrupted
+     * @param {*} result - Value a run resolved with
+     * @returns {boolean} True if the run was suspended
+     */
+    static isSuspended(result) {
+      return isPlainObject(result) && result.status === 'suspended' && result.version === checkpointVersion;
+    }
+
+    /**
+     * Continues a checkpointed run from the node after the one the checkpoint was written for,
+     * or a suspended run from the node that interrupted it. That node runs again from the start,
+     * and its interrupt() call returns options.input.
+     * The flow's prepAsync is not run again; postAsync receives null as its preparation result.
+     * @param {Object} checkpoint - Checkpoint written by a run of this flow, or the state a suspended run resolved with
+     * @param {Object} [options={}] - Run options, as for runAsync
+     * @param {Object} [options.shared={}] - Object the saved shared state is restored into
+     * @param {*} [options.input] - Human input returned by the interrupt() call of a suspended run
+     * @returns {Promise<*>} Promise resolving to execution result, or to a suspended state if a node interrupts again
+     * @throws {TypeError} If the checkpoint or the options are not valid, or options.input is given for a checkpoint
+     * @throws {Error} If the checkpoint refers to a node that is not part of this flow
+     * @throws {CancellationError} If the run is cancelled
+     * @throws {TimeoutError} If the run's deadline passes
+     * @throws {ValidationError} In strict mode, if the graph is invalid
+     */
+    async resumeAsync(checkpoint, options = {}) {
+      if (!isPlainObject(checkpoint) || checkpoint.version !== checkpointVersion) {
+        throw new TypeError('Checkpoint must be an object written by a checkpointed run');
+      }
+      const suspended = checkpoint.status === 'suspended';
+      if (suspended && (!isPlainObject(checkpoint.interrupt) || !Array.isArray(checkpoint.interrupt.frames))) {
+        throw new TypeError('Suspended state must be an object resolved by a suspended run');
+      }
+      if (arguments.length > 2) {
+        throw new TypeError('Pass the human input of a suspended run as options.input');
+      }
+      if (options === null || typeof options !== 'object') {
+        throw new TypeError('Run options must be an object');
+      }
+      if (!suspended && 'input' in options) {
+        throw new TypeError('Human input can only be given when resuming a suspended run');
+      }
+      this._validateIfStrict();
+
+      const nodes = new Map();
+      nameNodes(this).forEach((name, node) => nodes.set(name, node));
+      if (checkpoint.next !== null && !nodes.has(checkpoint.next)) {
+        throw new Error(`Checkpoint refers to node '${checkpoint.next}', which is not part of this flow`);
+      }
+
+      const visits = new Map();
+      Object.keys(checkpoint.visits || {}).forEach(name => {
+        if (nodes.has(name)) visits.set(nodes.get(name), checkpoint.visits[name]);
+      });
+
+      const shared = Object.assign(options.shared || {}, deserialize(checkpoint.shared));
+      const resume = {
+        node: checkpoint.next === null ? null : nodes.get(checkpoint.next),
+        params: deserialize(checkpoint.params),
+        action: checkpoint.action,
+        step: checkpoint.step,
+        visits,
+        interrupt: suspended ? { input: options.input, frames: checkpoint.interrupt.frames } : null
+      };
+      const ctx = this._createRunContext(options, resume);
+
+      try {
+        const result = await this._runScopeAsync(ctx, async flowCtx => {
+          const o = await this._orchestrateAsync(shared, null, flowCtx);
+          throwIfAborted(flowCtx.signal);
+          return await this.postAsync(shared, null, o, flowCtx.signal);
+        });
+        return runOutcome(result, ctx.runStats, options);
+      } catch (error) {
+        if (error instanceof Interrupt && error.frames.length > 0) {
+          return runOutcome(await this._suspend(error, shared, ctx), ctx.runStats, options);
+        }
+        throw error;
+      } finally {
+        releaseRunContext(ctx);
+      }
+    }
+
+    /**
+     * Runs the flow and yields its lifecycle events as they happen, including those of nested
+     * flows and the 'node:chunk' events of nodes streaming partial results. With options.stateDiffs,
+     * a 'state' event lists the changes after every 'node:end' event whose node changed the shared context.
+     * The last event is 'done', carrying the flow's final action.
+     * Leaving the loop early (break, return or an exception) cancels the run and waits for it to stop.
+     * @param {Object} shared - Shared context object
+     * @param {Object} [options={}] - Run options, as for runAsync
+     * @param {boolean} [options.stateDiffs=false] - Whether to compare the shared context after every node
+     *   and yield 'state' events; each comparison serializes the whole shared context
+     * @yields {Object} Lifecycle, 'state' and 'done' events
+     * @returns {AsyncGenerator<Object, *>} Generator whose return value is the final action
+     * @throws {CancellationError} If the run is cancelled through options.signal
+     * @throws {TimeoutError} If the run's deadline passes
+     * @throws {ValidationError} In strict mode, if the graph is invalid
+     * @throws {TypeError} If options.stateDiffs is not a boolean
+     */
+    async *stream(shared, options = {}) {
+      this._validateIfStrict();
+
+      const stateDiffs = options !== null && typeof options === 'object' ? options.stateDiffs : undefined;
+      if (stateDiffs !== undefined && typeof stateDiffs !== 'boolean') {
+        throw new TypeError('State diffs option must be a boolean');
+      }
+      const ctx = this._createRunContext(options);
+      const linked = linkedSignal(ctx.signal);
+      ctx.signal = linked.signal;
+
+      const queue = [];
+      let wake = null;
+      let outcome = null;
+      const push = event => {
+        queue.push(event);
+        if (wake) wake();
+      };
+
+      const snapshot = stateDiffs ? stateSnapshot(shared) : null;
+      const publishState = source => {
+        if (!snapshot) return;
+        const diff = stateDiff(snapshot, shared);
+        if (!diff) return;
+        push({
+          type: 'state',
+          flow: source.flow,
+          node: source.node,
+          runId: source.runId,
+          parentRunId: source.parentRunId,
+          timestamp: Date.now(),
+          ...diff
+        });
+      };
+
+      const emitter = new EventEmitter();
+      emitter.on('*', event => {
+        push(event);
+        if (event.type === 'node:end') publishState(event);
+      });
+      ctx.emitters = [emitter, ...ctx.emitters];
+
+      const run = this._runAsync(shared, ctx).then(action => ({ action }), error => {
+        if (!(error instanceof Interrupt) || error.frames.length === 0) return { error };
+        return this._suspend(error, shared, ctx).then(action => ({ action }), failure => ({ error: failure }));
+      }).then(result => {
+        publishState({ flow: this, node: null, runId: ctx.runId, parentRunId: null });
+        outcome = result;
+        if (wake) wake();
+      });
+
+      try {
+        while (queue.length > 0 || !outcome) {
+          if (queue.length > 0) {
+            yield queue.shift();
+          } else {
+            await new Promise(resolve => {
+              wake = () => {
+                wake = null;
+                resolve();
+              };
+            });
+          }
+        }
+
+        if (outcome.error) throw outcome.error;
+        yield { type: 'done', flow: this, runId: ctx.runId, parentRunId: null, timestamp: Date.now(), action: outcome.action };
+        return outcome.action;
+      } finally {
+        if (!outcome) {
+          linked.abort(new Error('Stream closed by its consumer'));
+          await run;
+        }
+        linked.release();
+        releaseRunContext(ctx);
+      }
+    }
+  }
+
+  /**
+   * Asynchronous flow that processes multiple parameter sets (sequentially)
+   * @class
+   * @extends AsyncFlow
+   */
+  class AsyncBatchFlow extends AsyncFlow {
+    /**
+     * Internal asynchronous run method that processes each parameter set sequentially
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to batch execution result
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      return await this._runScopeAsync(ctx, async flowCtx => {
+        const signal = flowCtx.signal || null;
+
+        throwIfAborted(signal);
+        const pr = await this.prepAsync(shared, signal) || [];
+
+        if (!Array.isArray(pr)) {
+          warnings.warn("AsyncBatchFlow expected an array from prepAsync() but received " + typeof pr);
+          return await this.postAsync(shared, pr, null, signal);
+        }
+
+        for (let index = 0; index < pr.length; index++) {
+          await this._orchestrateBatchItemAsync(shared, { ...this.params, ...pr[index] }, index, flowCtx);
+        }
+
+        throwIfAborted(signal);
+        return await this.postAsync(shared, pr, null, signal);
+      });
+    }
+  }
+
+  /**
+   * Error raised when isolated runs wrote different values to a key whose reducer is 'failOnConflict'
+   * @class
+   * @extends Error
+   */
+  class StateConflictError extends Error {
+    /**
+     * Creates a new StateConflictError
+     * @param {Array<{key: string, reducer: string, writers: Array<string|number>, values: Array<*>}>} conflicts - The conflicting keys
+     */
+    constructor(conflicts) {
+      super(`Conflicting writes to shared state: ${conflicts.map(c => `'${c.key}' by ${c.writers.join(', ')}`).join('; ')}`);
+      this.name = 'StateConflictError';
+
+      /**
+       * The conflicting keys, with the writers (batch indexes or branch names) and the values they wrote
+       * @type {Array<Object>}
+       */
+      this.conflicts = conflicts;
+    }
+  }
+
+  /**
+   * Logical clock ordering the writes of isolated runs, for last-write-wins merges
+   * @type {number}
+   * @private
+   */
+  let stateClock = 0;
+
+  /**
+   * Checks whether a value is plain data that an isolated view copies when it is read
+   * (plain objects, arrays, Maps, Sets and Dates); other objects are shared by reference
+   * @param {*} value - The value to check
+   * @returns {boolean} True if the value is copied on read
+   * @private
+   */
+  function isDataObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    if (Array.isArray(value) || value instanceof Map || value instanceof Set || value instanceof Date) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Compares two values by content. Plain data (objects, arrays, Maps, Sets and Dates) is compared
+   * structurally, cycles included; other objects are compared by their serialized form.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @param {Map<Object, Set<Object>>} [pairs=new Map()] - Pairs of objects already being compared
+   * @returns {boolean} True if both values hold the same data
+   * @private
+   */
+  function sameData(a, b, pairs = new Map()) {
+    if (a === b || Object.is(a, b)) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (!isDataObject(a) || !isDataObject(b)) {
+      try {
+        return JSON.stringify(serialize(a)) === JSON.stringify(serialize(b));
+      } catch (e) {
+        return false;
+      }
+    }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    // A pair met again further down a cycle is assumed equal; the rest of the comparison decides
+    let seen = pairs.get(a);
+    if (seen && seen.has(b)) return true;
+    if (!seen) pairs.set(a, seen = new Set());
+    seen.add(b);
+
+    if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+    if (a instanceof Map) {
+      return a.size === b.size && [...a].every(([key, value]) => b.has(key) && sameData(value, b.get(key), pairs));
+    }
+    if (a instanceof Set) {
+      return a.size === b.size && [...a].every(value => b.has(value) || [...b].some(other => sameData(value, other, pairs)));
+    }
+    if (Array.isArray(a)) {
+      return a.length === b.length && a.every((item, index) => sameData(item, b[index], pairs));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameData(a[key], b[key], pairs));
+  }
+
+  /**
+   * Built-in reducers for merging isolated writes to one key. Each receives the key's value
+   * before the run and the writes in input order ({writer, value, deleted, clock}), and
+   * returns the merged {value, deleted}.
+   * @type {Object<string, Function>}
+   * @private
+   */
+  const stateReducers = {
+    lastWriteWins: (base, writes) => writes.reduce((last, write) => (write.clock > last.clock ? write : last)),
+
+    failOnConflict: (base, writes) => writes[0],
+
+    append: (base, writes, key) => {
+      let value = base;
+      writes.filter(write => !write.deleted).forEach(write => {
+        if (Array.isArray(write.value)) {
+          // Keep only what the run added to the array it started from
+          const extendsBase = Array.isArray(base) && write.value.length >= base.length &&
+            base.every((item, index) => sameData(item, write.value[index]));
+          const added = extendsBase ? write.value.slice(base.length) : write.value;
+          value = (value === undefined ? [] : Array.isArray(value) ? value : [value]).concat(added);
+        } else if (typeof write.value === 'string') {
+          const added = typeof base === 'string' && write.value.startsWith(base) ? write.value.slice(base.length) : write.value;
+          value = (value === undefined ? '' : value) + added;
+        } else {
+          throw new TypeError(`Cannot append to '${key}': only arrays and strings can be appended`);
+        }
+      });
+      return { value, deleted: false };
+    }
+  };
+
+  /**
+   * Validates the reducers of an isolated parallel node or flow
+   * @param {Object<string, string|Function>} reducers - Reducer per key ('*' for undeclared keys)
+   * @throws {TypeError} If reducers is not an object or names an unknown reducer
+   * @private
+   */
+  function validateReducers(reducers) {
+    if (!isPlainObject(reducers)) {
+      throw new TypeError("Reducers must be an object mapping keys to reducers");
+    }
+    Object.keys(reducers).forEach(key => {
+      const reducer = reducers[key];
+      if (typeof reducer !== 'function' && !Object.prototype.hasOwnProperty.call(stateReducers, reducer)) {
+        throw new TypeError(`Reducer of '${key}' must be a function or one of ${Object.keys(stateReducers).join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Adds the state isolation settings to a parallel node or flow
+   * @param {BaseNode} node - The parallel node or flow
+   * @private
+   */
+  function initStateIsolation(node) {
+    /**
+     * When true, each branch or batch item runs on its own copy-on-write view of the shared context,
+     * merged back with `reducers` once the run finishes
+     * @type {boolean}
+     */
+    node.isolation = false;
+
+    /**
+     * Reducer per key for merging isolated writes: 'append', 'lastWriteWins', 'failOnConflict' or
+     * (current, value, base, key) => merged; the '*' entry applies to undeclared keys (default 'failOnConflict')
+     * @type {Object<string, string|Function>}
+     */
+    node.reducers = {};
+  }
+
+  /**
+   * Copy-on-write view of the shared context for one isolated branch or batch item.
+   * Reads fall through to the shared context; plain data is copied on first read so that
+   * in-place mutations stay local, and writes and deletes are recorded in the view.
+   * @class
+   * @private
+   */
+  class IsolatedState {
+    /**
+     * Creates a new IsolatedState over a shared context
+     * @param {Object} base - The shared context (or the view of an enclosing isolated run)
+     */
+    constructor(base) {
+      this.base = base;
+      this.values = new Map();
+      this.copied = new Set();
+      this.written = new Map();
+      this.deleted = new Set();
+      this.finishedAt = null;
+
+      /**
+       * Object handed to the nodes in place of the shared context
+       * @type {Object}
+       */
+      this.view = new Proxy({}, {
+        get: (target, key) => this.get(key),
+        set: (target, key, value) => {
+          this.set(key, value);
+          return true;
+        },
+        deleteProperty: (target, key) => {
+          this.delete(key);
+          return true;
+        },
+        has: (target, key) => this.has(key),
+        ownKeys: () => this.keys(),
+        getOwnPropertyDescriptor: (target, key) => (this.has(key)
+          ? { value: this.get(key), writable: true, enumerable: true, configurable: true }
+          : undefined)
+      });
+    }
+
+    /**
+     * Reads a key, copying plain data on first read
+     * @param {string|symbol} key - The key
+     * @returns {*} The value seen by this run
+     */
+    get(key) {
+      if (typeof key === 'symbol') return this.base[key];
+      if (this.deleted.has(key)) return undefined;
+      if (this.values.has(key)) return this.values.get(key);
+
+      const value = this.base[key];
+      if (!isDataObject(value)) return value;
+      const copy = deepCopy(value);
+      this.values.set(key, copy);
+      this.copied.add(key);
+      return copy;
+    }
+
+    /**
+     * Writes a key in this view only
+     * @param {string|symbol} key - The key
+     * @param {*} value - The value
+     */
+    set(key, value) {
+      this.deleted.delete(key);
+      this.values.set(key, value);
+      this.written.set(key, ++stateClock);
+    }
+
+    /**
+     * Deletes a key in this view only
+     * @param {string|symbol} key - The key
+     */
+    delete(key) {
+      this.values.delete(key);
+      this.deleted.add(key);
+      this.written.set(key, ++stateClock);
+    }
+
+    /**
+     * Checks whether a key exists in this view
+     * @param {string|symbol} key - The key
+     * @returns {boolean} True if the key exists
+     */
+    has(key) {
+      if (this.deleted.has(key)) return false;
+      return this.values.has(key) || key in this.base;
+    }
+
+    /**
+     * Lists the keys of this view
+     * @returns {Array<string|symbol>} The keys of the shared context and of this view, without deleted ones
+     */
+    keys() {
+      const keys = new Set(Reflect.ownKeys(this.base).filter(key => !this.deleted.has(key)));
+      this.values.forEach((value, key) => keys.add(key));
+      return [...keys];
+    }
+
+    /**
+     * Marks the run as finished; in-place changes to copied data count as written at this point
+     */
+    finish() {
+      this.finishedAt = ++stateClock;
+    }
+
+    /**
+     * Lists the keys the run changed
+     * @returns {Map<string, {value: *, deleted: boolean, clock: number}>} Change per key
+     */
+    changes() {
+      const changes = new Map();
+      this.deleted.forEach(key => {
+        if (key in this.base) changes.set(key, { value: undefined, deleted: true, clock: this.written.get(key) });
+      });
+      this.values.forEach((value, key) => {
+        if ((key in this.base) && sameData(value, this.base[key])) return;
+        if (this.written.has(key)) changes.set(key, { value, deleted: false, clock: this.written.get(key) });
+        else if (this.copied.has(key)) changes.set(key, { value, deleted: false, clock: this.finishedAt });
+      });
+      return changes;
+    }
+  }
+
+  /**
+   * Merges the changes of finished isolated runs into the shared context. Keys changed by one run
+   * are reduced as well; keys changed differently by several runs are conflicts, reported with a
+   * `state:conflict` event and, for 'failOnConflict' keys, a StateConflictError that leaves the
+   * shared context untouched.
+   * @param {Object} shared - The shared context
+   * @param {Array<{writer: string|number, state: IsolatedState}>} runs - Finished runs, in input order
+   * @param {Object<string, string|Function>} reducers - Reducer per key ('*' for undeclared keys)
+   * @param {Object} ctx - Run context the conflict events are emitted on
+   * @param {Object} [details={}] - Extra fields of the conflict events
+   * @throws {StateConflictError} If a 'failOnConflict' key received conflicting writes
+   * @private
+   */
+  function mergeIsolatedStates(shared, runs, reducers, ctx, details = {}) {
+    validateReducers(reducers);
+    const writes = new Map();
+    runs.forEach(({ writer, state }) => {
+      state.changes().forEach((change, key) => {
+        if (!writes.has(key)) writes.set(key, []);
+        writes.get(key).push({ writer, ...change });
+      });
+    });
+
+    const conflicts = [];
+    const merged = new Map();
+    writes.forEach((list, key) => {
+      const declared = reducers[key] !== undefined ? reducers[key] : reducers['*'];
+      const reducer = declared !== undefined ? declared : 'failOnConflict';
+      const conflicting = list.some(write => write.deleted !== list[0].deleted || !sameData(write.value, list[0].value));
+      if (conflicting) {
+        const conflict = {
+          key,
+          reducer: typeof reducer === 'function' ? 'custom' : reducer,
+          writers: list.map(write => write.writer),
+          values: list.map(write => write.value)
+        };
+        emitEvent(ctx, 'state:conflict', { ...details, ...conflict });
+        if (reducer === 'failOnConflict') {
+          conflicts.push(conflict);
+          return;
+        }
+      }
+
+      const base = shared[key];
+      if (typeof reducer === 'function') {
+        const value = list.reduce((current, write) => reducer(current, write.value, base, key), base);
+        merged.set(key, { value, deleted: false });
+      } else {
+        merged.set(key, stateReducers[reducer](base, list, key));
+      }
+    });
+
+    if (conflicts.length > 0) throw new StateConflictError(conflicts);
+    merged.forEach(({ value, deleted }, key) => {
+      if (deleted) delete shared[key];
+      else shared[key] = value;
+    });
+  }
+
+  /**
+   * Asynchronous flow that processes multiple parameter sets (in parallel)
+   * @class
+   * @extends AsyncFlow
+   */
+  class AsyncParallelBatchFlow extends AsyncFlow {
+    /**
+     * Creates a new AsyncParallelBatchFlow instance
+     * @param {BaseNode} [startNode=null] - The starting node
+     */
+    constructor(startNode = null) {
+      super(startNode);
+
+      /**
+       * Maximum number of parameter sets run at the same time (null for no limit)
+       * @type {number|null}
+       */
+      this.concurrency = null;
+
+      initStateIsolation(this);
+    }
+
+    /**
+     * Internal asynchronous run method that processes the parameter sets in parallel, at most
+     * `concurrency` at a time. prepAsync may return an array or a sync or async iterable, which is read lazily.
+     * With `isolation`, each parameter set runs on its own view of the shared context, and the views
+     * are merged back once all of them have finished; a failed run merges nothing.
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to batch execution result
+     * @throws {StateConflictError} If isolated parameter sets wrote conflicting values to a 'failOnConflict' key
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      return await this._runScopeAsync(ctx, async flowCtx => {
+        const signal = flowCtx.signal || null;
+
+        throwIfAborted(signal);
+        const pr = await this.prepAsync(shared, signal) || [];
+
+        if (!isBatchSource(pr)) {
+          warnings.warn("AsyncParallelBatchFlow expected an array or iterable from prepAsync() but received " + typeof pr);
+          return await this.postAsync(shared, pr, null, signal);
+        }
+
+        validateConcurrency(this.concurrency);
+        if (this.isolation) validateReducers(this.reducers);
+        const isolated = [];
+        await mapConcurrent(pr, this.concurrency, async (bp, index) => {
+          if (!this.isolation) {
+            return await this._orchestrateBatchItemAsync(shared, { ...this.params, ...bp }, index, flowCtx);
+          }
+          const state = new IsolatedState(shared);
+          const action = await this._orchestrateBatchItemAsync(state.view, { ...this.params, ...bp }, index, flowCtx);
+          state.finish();
+          isolated[index] = { writer: index, state };
+          return action;
+        }, signal);
+        if (this.isolation) mergeIsolatedStates(shared, isolated, this.reducers, flowCtx);
+
+        throwIfAborted(signal);
+        return await this.postAsync(shared, pr, null, signal);
+      });
+    }
+  }
+
+  /**
+   * Validates the branches and wait mode of a ParallelNode
+   * @param {Object<string, BaseNode>|Array<BaseNode>} branches - Branches to run
+   * @param {string|number} waitFor - 'all', 'race' or the number of branches to wait for
+   * @throws {TypeError} If a branch is not a node or the wait mode is invalid
+   * @private
+   */
+  function validateBranches(branches, waitFor) {
+    if (!isPlainObject(branches) && !Array.isArray(branches)) {
+      throw new TypeError("Branches must be an object or an array of nodes");
+    }
+    Object.keys(branches).forEach(name => {
+      typeChecks.validateInstance(branches[name], BaseNode, `Branch '${name}'`);
+    });
+    const count = Object.keys(branches).length;
+    if (waitFor !== 'all' && waitFor !== 'race' &&
+      (!Number.isInteger(waitFor) || waitFor < 1 || waitFor > Math.max(count, 1))) {
+      throw new TypeError("waitFor must be 'all', 'race' or an integer between 1 and the number of branches");
+    }
+  }
+
+  /**
+   * Returns the flow that runs one branch of a ParallelNode: the branch itself if it is a flow,
+   * otherwise an AsyncFlow named after the branch that follows the node's successors
+   * @param {BaseNode} branch - Start node or flow of the branch
+   * @param {string} name - Name of the branch
+   * @returns {Flow} Flow running the branch
+   * @private
+   */
+  function branchFlow(branch, name) {
+    if (branch instanceof Flow) return branch;
+    const flow = new AsyncFlow(branch);
+    flow.name = name;
+    return flow;
+  }
+
+  /**
+   * Asynchronous node that forks into several branches, runs them concurrently on the same shared
+   * context and joins their results. Each branch is a node (followed through its successors) or a
+   * flow; its result is the value its last node returns from post. The merged result is passed to
+   * postAsync as execRes, and the node's successors continue with the join.
+   * @class
+   * @extends AsyncNode
+   */
+  class ParallelNode extends AsyncNode {
+    /**
+     * Creates a new ParallelNode instance
+     * @param {Object<string, BaseNode>|Array<BaseNode>} [branches={}] - Branches by name, or a list of branches
+     * @param {Object} [options={}] - Join options
+     * @param {string|number} [options.waitFor='all'] - 'all' to wait for every branch, 'race' to take
+     *   the first branch that settles, or the number of branches that must succeed
+     * @param {Function} [options.merge=null] - Combines the results: (results, shared) => merged value
+     * @param {string} [options.outputKey=null] - Key of the shared context receiving the merged value
+     * @param {boolean} [options.isolation=false] - Runs each branch on its own copy-on-write view of the shared context
+     * @param {Object<string, string|Function>} [options.reducers={}] - Reducer per key for merging isolated writes
+     * @throws {TypeError} If a branch is not a node or the wait mode is invalid
+     */
+    constructor(branches = {}, options = {}) {
+      super();
+      const { waitFor = 'all', merge = null, outputKey = null, isolation = false, reducers = {} } = options;
+      validateBranches(branches, waitFor);
+      if (merge !== null && typeof merge !== 'function') {
+        throw new TypeError("merge must be a function");
+      }
+      if (outputKey !== null) typeChecks.validateString(outputKey, "outputKey");
+
+      /**
+       * Branches by name, or a list of branches; each is a start node or a flow
+       * @type {Object<string, BaseNode>|Array<BaseNode>}
+       */
+      this.branches = branches;
+
+      /**
+       * 'all', 'race', or the number of branches that must succeed before the others are cancelled
+       * @type {string|number}
+       */
+      this.waitFor = waitFor;
+
+      /**
+       * Combines the branch results, (results, shared) => merged value (null to pass the results on as they are)
+       * @type {Function|null}
+       */
+      this.merge = merge;
+
+      /**
+       * Key of the shared context that the default postAsync stores the merged value under (null to skip)
+       * @type {string|null}
+       */
+      this.outputKey = outputKey;
+
+      initStateIsolation(this);
+      validateReducers(reducers);
+      this.isolation = isolation;
+      this.reducers = reducers;
+    }
+
+    /**
+     * Combines the results of the finished branches. Calls `merge` if set, otherwise returns the results.
+     * @param {Object|Array} results - Results keyed like `branches`; branches that did not finish are left out
+     * @param {Object} shared - Shared context object
+     * @returns {Promise<*>} Promise resolving to the merged value
+     */
+    async mergeAsync(results, shared) {
+      return this.merge ? await this.merge(results, shared) : results;
+    }
+
+    /**
+     * Asynchronous post-processing phase; stores the merged value under `outputKey` if set
+     * @param {Object} shared - Shared context object
+     * @param {*} prepRes - Result from the prepAsync phase
+     * @param {*} execRes - Merged result of the branches
+     * @param {AbortSignal|null} [signal] - Signal that fires when the run is cancelled
+     * @returns {Promise<*>} Promise resolving to the action (the default one)
+     */
+    async postAsync(shared, prepRes, execRes, signal) {
+      if (this.outputKey !== null) shared[this.outputKey] = execRes;
+      return undefined;
+    }
+
+    /**
+     * Internal asynchronous run method: prepAsync, the branches, mergeAsync, then postAsync.
+     * The fork runs once; retries and timeouts belong on the branch nodes.
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to the action returned by postAsync
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      const signal = ctx.signal || null;
+      const node = ctx.node || this;
+      const started = now();
+      emitEvent(ctx, 'node:start', { node });
+
+      try {
+        throwIfAborted(signal);
+        let phaseStart = now();
+        const p_res = await this.prepAsync(shared, signal);
+        emitEvent(ctx, 'node:prep', { node, duration: now() - phaseStart });
+
+        throwIfAborted(signal);
+        phaseStart = now();
+        emitEvent(ctx, 'node:exec:attempt', { node, attempt: 1 });
+        const results = await this._runBranches(shared, ctx);
+        const merged = await this.mergeAsync(results, shared);
+        emitEvent(ctx, 'node:exec', { node, attempt: 1, duration: now() - phaseStart });
+
+        throwIfAborted(signal);
+        phaseStart = now();
+        const post_res = await this.postAsync(shared, p_res, merged, signal);
+        recordCompletion(ctx, this, shared, p_res, merged);
+        emitEvent(ctx, 'node:post', { node, action: post_res, duration: now() - phaseStart });
+        emitEvent(ctx, 'node:end', { node, action: post_res, duration: now() - started });
+        return post_res;
+      } catch (error) {
+        emitEvent(ctx, 'node:error', { node, error, duration: now() - started });
+        throw error;
+      }
+    }
+
+    /**
+     * Starts every branch and settles once enough of them have finished. Branches still running
+     * at that point are cancelled through their signal. In 'all' mode the first failure rejects;
+     * with a count, failures are tolerated while enough branches can still succeed.
+     * With `isolation`, the views of the branches that succeeded are merged into the shared context.
+     * @param {Object} shared - Shared context object
+     * @param {Object} ctx - Run context of this node
+     * @returns {Promise<Object|Array>} Promise resolving to the results of the finished branches
+     * @throws {Error} The error of the failed branch that decided the join
+     * @throws {StateConflictError} If isolated branches wrote conflicting values to a 'failOnConflict' key
+     * @protected
+     */
+    async _runBranches(shared, ctx) {
+      validateBranches(this.branches, this.waitFor);
+      if (this.isolation) validateReducers(this.reducers);
+      const names = Object.keys(this.branches);
+      const results = Array.isArray(this.branches) ? new Array(names.length) : {};
+      if (names.length === 0) return results;
+
+      const needed = this.waitFor === 'all' ? names.length : this.waitFor === 'race' ? 1 : this.waitFor;
+      const states = this.isolation ? names.map(() => new IsolatedState(shared)) : null;
+      const finished = [];
+      const linked = linkedSignal(ctx.signal || null);
+
+      try {
+        await new Promise((resolve, reject) => {
+          let succeeded = 0;
+          let failed = 0;
+          let settled = false;
+          const finish = error => {
+            if (settled) return;
+            settled = true;
+            if (error) reject(error);
+            else resolve();
+          };
+
+          names.forEach((name, index) => {
+            const target = states ? states[index].view : shared;
+            this._runBranch(target, name, ctx, linked.signal).then(result => {
+              if (settled) return;
+              results[Array.isArray(results) ? Number(name) : name] = result;
+              finished[index] = true;
+              if (states) states[index].finish();
+              if (++succeeded >= needed) finish();
+            }, error => {
+              if (settled) return;
+              failed++;
+              if (this.waitFor === 'race' || names.length - failed < needed) finish(error);
+            });
+          });
+        });
+      } finally {
+        // Branches that are no longer needed are cancelled
+        linked.abort();
+        linked.release();
+      }
+
+      if (states) {
+        const runs = names
+          .map((name, index) => ({ writer: Array.isArray(results) ? index : name, state: states[index] }))
+          .filter((run, index) => finished[index]);
+        mergeIsolatedStates(shared, runs, this.reducers, ctx, { node: ctx.node || this });
+      }
+      return results;
+    }
+
+    /**
+     * Runs one branch on a shallow copy, with this node's params taking precedence over the branch's
+     * @param {Object} shared - Shared context object
+     * @param {string} name - Name (or index) of the branch
+     * @param {Object} ctx - Run context of this node
+     * @param {AbortSignal} signal - Signal cancelling the branch
+     * @returns {Promise<*>} Promise resolving to the branch's result
+     * @protected
+     */
+    async _runBranch(shared, name, ctx, signal) {
+      const flow = branchFlow(this.branches[name], name);
+      const branch = shallowCopy(flow);
+      branch.setParams({ ...flow.params, ...this.params });
+
+      const branchCtx = childContext(ctx, { node: flow, signal, branch: name });
+      if (branch instanceof AsyncFlow) return await branch._runAsync(shared, branchCtx);
+      return branch._run(shared, branchCtx);
+    }
+  }
+
+  /**
+   * Normalizes a key mapping of a SubFlow into a map of source keys to target keys
+   * @param {Array<string>|Object<string, string>} mapping - Keys copied under the same name, or an object
+   *   mapping source keys to target keys
+   * @param {string} name - Name of the mapping, for error messages
+   * @returns {Map<string, string>} Target key per source key
+   * @throws {TypeError} If the mapping is neither a list of keys nor an object of key names
+   * @private
+   */
+  function keyMapping(mapping, name) {
+    if (Array.isArray(mapping) && mapping.every(key => typeof key === 'string')) {
+      return new Map(mapping.map(key => [key, key]));
+    }
+    if (!isPlainObject(mapping) || Object.values(mapping).some(key => typeof key !== 'string')) {
+      throw new TypeError(`${name} must be an array of keys or an object mapping keys to key names`);
+    }
+    return new Map(Object.entries(mapping));
+  }
+
+  /**
+   * Node that runs a flow on a shared context of its own, so that reusable flows do not collide on key
+   * names. Before the flow starts, `inputMap` copies keys of the enclosing shared context into the
+   * sub-flow's; when it finishes, `outputMap` copies keys back. Values are passed by reference, and
+   * keys that are missing are left out. The flow's final action becomes this node's action.
+   * The node runs synchronously or asynchronously, like its flow.
+   * @class
+   * @extends BaseNode
+   */
+  class SubFlow extends BaseNode {
+    /**
+     * Creates a new SubFlow instance
+     * @param {Flow} [flow=null] - The flow to run
+     * @param {Object} [options={}] - Mapping options
+     * @param {Array<string>|Object<string, string>} [options.inputMap={}] - Keys passed in, as an object
+     *   mapping enclosing keys to sub-flow keys, or a list of keys passed under the same name
+     * @param {Array<string>|Object<string, string>} [options.outputMap={}] - Keys passed back, as an object
+     *   mapping sub-flow keys to enclosing keys, or a list of keys passed under the same name
+     * @throws {TypeError} If flow is not a Flow or a mapping is malformed
+     */
+    constructor(flow = null, options = {}) {
+      super();
+      const { inputMap = {}, outputMap = {} } = options;
+      if (flow !== null) typeChecks.validateInstance(flow, Flow, "Sub-flow");
+      keyMapping(inputMap, 'inputMap');
+      keyMapping(outputMap, 'outputMap');
+
+      /**
+       * The flow this node runs
+       * @type {Flow|null}
+       */
+      this.flow = flow;
+
+      /**
+       * Keys copied into the sub-flow's shared context: enclosing key → sub-flow key, or a list of keys
+       * @type {Array<string>|Object<string, string>}
+       */
+      this.inputMap = inputMap;
+
+      /**
+       * Keys copied back when the sub-flow finishes: sub-flow key → enclosing key, or a list of keys
+       * @type {Array<string>|Object<string, string>}
+       */
+      this.outputMap = outputMap;
+    }
+
+    /**
+     * Preparation phase; builds the sub-flow's shared context from `inputMap`
+     * @param {Object} shared - Shared context object of the enclosing flow
+     * @returns {Object} The sub-flow's shared context
+     */
+    prep(shared) {
+      const scoped = {};
+      keyMapping(this.inputMap, 'inputMap').forEach((target, source) => {
+        if (source in shared) scoped[target] = shared[source];
+      });
+      return scoped;
+    }
+
+    /**
+     * Post-processing phase; copies the keys listed in `outputMap` back into the enclosing shared context
+     * @param {Object} shared - Shared context object of the enclosing flow
+     * @param {Object} prepRes - The sub-flow's shared context
+     * @param {*} execRes - Result of the sub-flow
+     * @returns {*} The sub-flow's result, used as the action
+     */
+    post(shared, prepRes, execRes) {
+      keyMapping(this.outputMap, 'outputMap').forEach((target, source) => {
+        if (source in prepRes) shared[target] = prepRes[source];
+      });
+      return execRes;
+    }
+
+    /**
+     * Returns a copy of the flow to run, with this node's params taking precedence over the flow's,
+     * and its run context
+     * @param {Object} ctx - Run context of this node
+     * @returns {Array} The flow copy and its run context
+     * @throws {TypeError} If no flow is set
+     * @protected
+     */
+    _subFlowRun(ctx) {
+      typeChecks.validateInstance(this.flow, Flow, "Sub-flow");
+      const flow = shallowCopy(this.flow);
+      flow.setParams({ ...this.flow.params, ...this.params });
+
+      // The flow reports this node as its parent. Its shared context is not checkpointed, so it cannot suspend the run.
+      const node = ctx.node || this;
+      return [flow, childContext(ctx, { node: this.flow, flow: node, subFlow: node })];
+    }
+
+    /**
+     * Runs the flow synchronously in place of the exec phase
+     * @param {Object} prepRes - The sub-flow's shared context
+     * @param {Object} [ctx={}] - Run context
+     * @returns {*} Result of the flow
+     * @protected
+     */
+    _exec(prepRes, ctx = {}) {
+      const [flow, flowCtx] = this._subFlowRun(ctx);
+      return flow._run(prepRes, flowCtx);
+    }
+
+    /**
+     * Internal asynchronous run method, used when the node runs in an AsyncFlow: prep, the flow, then post
+     * @param {Object} shared - Shared context object
+     * @param {Object} [ctx={}] - Run context
+     * @returns {Promise<*>} Promise resolving to the action returned by post
+     * @protected
+     */
+    async _runAsync(shared, ctx = {}) {
+      const signal = ctx.signal || null;
+      const node = ctx.node || this;
+      const started = now();
+      emitEvent(ctx, 'node:start', { node });
+
+      try {
+        throwIfAborted(signal);
+        let phaseStart = now();
+        const p = this.prep(shared);
+        emitEvent(ctx, 'node:prep', { node, duration: now() - phaseStart });
+
+        const [flow, flowCtx] = this._subFlowRun(ctx);
+        const e = flow instanceof AsyncFlow ? await flow._runAsync(p, flowCtx) : flow._run(p, flowCtx);
+
+        throwIfAborted(signal);
+        phaseStart = now();
+        const action = this.post(shared, p, e);
+        recordCompletion(ctx, this, shared, p, e);
+        emitEvent(ctx, 'node:post', { node, action, duration: now() - phaseStart });
+        emitEvent(ctx, 'node:end', { node, action, duration: now() - started });
+        return action;
+      } catch (error) {
+        emitEvent(ctx, 'node:error', { node, error, duration: now() - started });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Returns the kind of a node, used to tell node classes apart in diagrams and definitions
+   * @param {BaseNode} node - The node to classify
+   * @returns {string} One of 'node', 'batch', 'async', 'async-batch', 'async-parallel-batch', 'parallel',
+   *   'subflow', 'flow', 'batch-flow', 'async-flow', 'async-batch-flow' or 'async-parallel-batch-flow'
+   * @private
+   */
+  function nodeKind(node) {
+    if (node instanceof AsyncParallelBatchFlow) return 'async-parallel-batch-flow';
+    if (node instanceof AsyncBatchFlow) return 'async-batch-flow';
+    if (node instanceof AsyncFlow) return 'async-flow';
+    if (node instanceof BatchFlow) return 'batch-flow';
+    if (node instanceof Flow) return 'flow';
+    if (node instanceof ParallelNode) return 'parallel';
+    if (node instanceof SubFlow) return 'subflow';
+    if (node instanceof AsyncParallelBatchNode) return 'async-parallel-batch';
+    if (node instanceof AsyncBatchNode) return 'async-batch';
+    if (node instanceof AsyncNode) return 'async';
+    if (node instanceof BatchNode) return 'batch';
+    return 'node';
+  }
+
+  /**
+   * Builds a renderer-independent model of a flow's graph. Nodes are visited breadth-first
+   * from the start node (so cycles are followed once); nested flows, the flows of sub-flow nodes
+   * and the branches of parallel nodes become clusters.
+   * @param {Flow} flow - The flow to describe
+   * @returns {{root: Object, edges: Array<Object>}} Root cluster and the list of edges
+   * @private
+   */
+  function buildGraphModel(flow) {
+    const ids = new Map();
+    const rendered = new Set();
+    const edges = [];
+    const idOf = node => {
+      if (!ids.has(node)) ids.set(node, `n${ids.size}`);
+      return ids.get(node);
+    };
+
+    // A sub-flow node is drawn as the cluster of its flow
+    const buildCluster = (clusterFlow, owner = clusterFlow) => {
+      const cluster = {
+        id: idOf(owner),
+        label: nodeLabel(owner),
+        kind: nodeKind(owner),
+        cluster: true,
+        start: clusterFlow.startNode ? idOf(clusterFlow.startNode) : null,
+        members: []
+      };
+      if (!clusterFlow.startNode) return cluster;
+
+      const queue = [clusterFlow.startNode];
+      rendered.add(clusterFlow.startNode);
+      const handler = clusterFlow.errorHandler;
+      if (handler && !rendered.has(handler)) {
+        queue.push(handler);
+        rendered.add(handler);
+      }
+
+      while (queue.length > 0) {
+        const node = queue.shift();
+        if (node instanceof Flow) cluster.members.push(buildCluster(node));
+        else if (node instanceof SubFlow && node.flow) cluster.members.push(buildCluster(node.flow, node));
+        else cluster.members.push({ id: idOf(node), label: nodeLabel(node), kind: nodeKind(node), cluster: false });
+
+        // Branches of a parallel node are drawn as flows, with an edge per branch
+        if (node instanceof ParallelNode) {
+          Object.keys(node.branches).forEach(name => {
+            const branch = branchFlow(node.branches[name], name);
+            cluster.members.push(buildCluster(branch));
+            edges.push({ from: idOf(node), to: idOf(branch), action: name });
+          });
+        }
+
+        Object.keys(node.successors).forEach(action => {
+          const next = node.successors[action];
+          edges.push({ from: idOf(node), to: idOf(next), action });
+          if (!rendered.has(next)) {
+            rendered.add(next);
+            queue.push(next);
+          }
+        });
+      }
+
+      return cluster;
+    };
+
+    rendered.add(flow);
+    return { root: buildCluster(flow), edges };
+  }
+
+  /**
+   * Human-readable names of node kinds, shown on nested flow clusters
+   * @type {Object<string, string>}
+   * @private
+   */
+  const kindNames = {
+    'flow': 'flow',
+    'batch-flow': 'batch flow',
+    'async-flow': 'async flow',
+    'async-batch-flow': 'async batch flow',
+    'async-parallel-batch-flow': 'async parallel batch flow',
+    'subflow': 'sub-flow'
+  };
+
+  /**
+   * Mermaid node shapes per node kind, as [open, close] delimiters
+   * @type {Object<string, Array<string>>}
+   * @private
+   */
+  const mermaidShapes = {
+    'node': ['["', '"]'],
+    'batch': ['[["', '"]]'],
+    'async': ['("', '")'],
+    'async-batch': ['(["', '"])'],
+    'async-parallel-batch': ['{{"', '"}}'],
+    'parallel': ['[/"', '"\\]'],
+    'subflow': ['>"', '"]']
+  };
+
+  /**
+   * Renders a flow graph as a Mermaid flowchart
+   * @param {Flow} flow - The flow to render
+   * @param {string} direction - Mermaid direction (TD, LR, ...)
+   * @returns {string} Mermaid source
+   * @private
+   */
+  function renderMermaid(flow, direction) {
+    const { root, edges } = buildGraphModel(flow);
+    const escape = text => String(text).replace(/"/g, '#quot;');
+    const lines = [`flowchart ${direction}`];
+
+    const renderCluster = (cluster, indent) => {
+      if (cluster.start) {
+        lines.push(`${indent}${cluster.id}_start((start)) --> ${cluster.start}`);
+      }
+      cluster.members.forEach(member => {
+        if (member.cluster) {
+          lines.push(`${indent}subgraph ${member.id} ["${escape(member.label)} (${kindNames[member.kind]})"]`);
+          renderCluster(member, indent + '  ');
+          lines.push(`${indent}end`);
+          if (member.kind !== 'flow' && member.kind !== 'async-flow') {
+            lines.push(`${indent}style ${member.id} stroke-dasharray: 5 5`);
+          }
+        } else {
+          const [open, close] = mermaidShapes[member.kind];
+          lines.push(`${indent}${member.id}${open}${escape(member.label)}${close}`);
+        }
+      });
+    };
+
+    renderCluster(root, '  ');
+    edges.forEach(({ from, to, action }) => {
+      lines.push(action === "default"
+        ? `  ${from} --> ${to}`
+        : `  ${from} -->|"${escape(action)}"| ${to}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz attributes per node kind
+   * @type {Object<string, string>}
+   * @private
+   */
+  const dotStyles = {
+    'node': 'shape=box',
+    'batch': 'shape=box, peripheries=2',
+    'async': 'shape=box, style=rounded',
+    'async-batch': 'shape=box, style=rounded, peripheries=2',
+    'async-parallel-batch': 'shape=box, style="rounded,dashed", peripheries=2',
+    'parallel': 'shape=trapezium',
+    'subflow': 'style=dotted',
+    'flow': 'style=solid',
+    'batch-flow': 'style=dashed',
+    'async-flow': 'style=rounded',
+    'async-batch-flow': 'style="rounded,dashed"',
+    'async-parallel-batch-flow': 'style="rounded,dashed,bold"'
+  };
+
+  /**
+   * Renders a flow graph in the Graphviz DOT language
+   * @param {Flow} flow - The flow to render
+   * @param {string} rankdir - Graphviz rank direction (TB, LR, ...)
+   * @returns {string} DOT source
+   * @private
+   */
+  function renderDot(flow, rankdir) {
+    const { root, edges } = buildGraphModel(flow);
+    const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const clusters = new Set();
+    const lines = [
+      `digraph "${escape(root.label)}" {`,
+      `  rankdir=${rankdir};`,
+      '  compound=true;',
+      '  node [fontname="Helvetica"];',
+      '  edge [fontname="Helvetica", fontsize=10];'
+    ];
+
+    // Every flow gets a point node marking its entry; edges to and from nested flows
+    // attach to that point and are clipped at the cluster border
+    const renderCluster = (cluster, indent) => {
+      lines.push(`${indent}${cluster.id} [shape=point, label=""];`);
+      if (cluster.start) {
+        lines.push(`${indent}${cluster.id} -> ${cluster.start}${clusters.has(cluster.start) ? ` [lhead=cluster_${cluster.start}]` : ''};`);
+      }
+      cluster.members.forEach(member => {
+        if (member.cluster) {
+          lines.push(`${indent}subgraph cluster_${member.id} {`);
+          lines.push(`${indent}  label="${escape(member.label)} (${kindNames[member.kind]})";`);
+          lines.push(`${indent}  ${dotStyles[member.kind]};`);
+          renderCluster(member, indent + '  ');
+          lines.push(`${indent}}`);
+        } else {
+          lines.push(`${indent}${member.id} [label="${escape(member.label)}", ${dotStyles[member.kind]}];`);
+        }
+      });
+    };
+
+    const collectClusters = cluster => cluster.members.forEach(member => {
+      if (member.cluster) {
+        clusters.add(member.id);
+        collectClusters(member);
+      }
+    });
+    collectClusters(root);
+
+    renderCluster(root, '  ');
+    edges.forEach(({ from, to, action }) => {
+      const attrs = [];
+      if (action !== "default") attrs.push(`label="${escape(action)}"`);
+      if (clusters.has(from)) attrs.push(`ltail=cluster_${from}`);
+      if (clusters.has(to)) attrs.push(`lhead=cluster_${to}`);
+      lines.push(`  ${from} -> ${to}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Error raised by strict flows whose graph fails validation
+   * @class
+   * @extends Error
+   */
+  class ValidationError extends Error {
+    /**
+     * Creates a new ValidationError
+     * @param {Array<Object>} issues - Issues reported by Flow.validate()
+     */
+    constructor(issues) {
+      const errors = issues.filter(issue => issue.severity === 'error');
+      super(`Invalid flow graph:\n${errors.map(issue => `  - ${issue.message}`).join('\n')}`);
+      this.name = 'ValidationError';
+
+      /**
+       * All issues reported by Flow.validate(), including warnings
+       * @type {Array<Object>}
+       */
+      this.issues = issues;
+    }
+  }
+
+  /**
+   * Returns the actions a node declares it may return, from its `actions` property or its class
+   * @param {BaseNode} node - The node
+   * @returns {Array<string>|null} Declared actions, or null if the node declares none
+   * @private
+   */
+  function declaredActions(node) {
+    if (Array.isArray(node.actions)) return node.actions;
+    if (Array.isArray(node.constructor.actions)) return node.constructor.actions;
+    return null;
+  }
+
+  /**
+   * Checks whether a node can only run asynchronously
+   * @param {BaseNode} node - The node
+   * @returns {boolean} True for AsyncNode and AsyncFlow instances, and for sub-flow nodes running an AsyncFlow
+   * @private
+   */
+  function isAsyncNode(node) {
+    if (node instanceof SubFlow) return node.flow instanceof AsyncFlow;
+    return node instanceof AsyncNode || node instanceof AsyncFlow;
+  }
+
+  /**
+   * Finds the strongly connected components of a set of nodes (Tarjan's algorithm)
+   * @param {Array<BaseNode>} nodes - Nodes of one flow
+   * @returns {Array<Array<BaseNode>>} Components
+   * @private
+   */
+  function stronglyConnected(nodes) {
+    const members = new Set(nodes);
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const visit = node => {
+      index.set(node, index.size);
+      low.set(node, index.get(node));
+      stack.push(node);
+      onStack.add(node);
+
+      Object.values(node.successors).filter(next => members.has(next)).forEach(next => {
+        if (!index.has(next)) {
+          visit(next);
+          low.set(node, Math.min(low.get(node), low.get(next)));
+        } else if (onStack.has(next)) {
+          low.set(node, Math.min(low.get(node), index.get(next)));
+        }
+      });
+
+      if (low.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    };
+
+    nodes.forEach(node => {
+      if (!index.has(node)) visit(node);
+    });
+    return components;
+  }
+
+  /**
+   * Lists the nodes reachable from one or more start nodes, breadth-first
+   * @param {...BaseNode} starts - The start nodes; null entries are skipped
+   * @returns {Array<BaseNode>} Reachable nodes, the start nodes first
+   * @private
+   */
+  function reachableNodes(...starts) {
+    const reachable = [...new Set(starts.filter(Boolean))];
+    const seen = new Set(reachable);
+    for (let i = 0; i < reachable.length; i++) {
+      Object.values(reachable[i].successors).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          reachable.push(next);
+        }
+      });
+    }
+    return reachable;
+  }
+
+  /**
+   * Adds a set of shared keys to another
+   * @param {{all: boolean, keys: Set<string>}} target - Keys to extend
+   * @param {{all: boolean, keys: Set<string>}} source - Keys to add
+   * @returns {boolean} True if the target changed
+   * @private
+   */
+  function addKeys(target, source) {
+    let changed = false;
+    if (source.all && !target.all) {
+      target.all = true;
+      changed = true;
+    }
+    source.keys.forEach(key => {
+      if (!target.keys.has(key)) {
+        target.keys.add(key);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Returns a node's contract for static analysis, ignoring malformed declarations
+   * (validate() reports those separately)
+   * @param {BaseNode} node - The node
+   * @returns {Object|null|undefined} The contract, null if undeclared, undefined if malformed
+   * @private
+   */
+  function staticContract(node) {
+    try {
+      return declaredContract(node);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Collects the shared keys a node may write. A node without a contract may write anything;
+   * flows and parallel nodes write what their inner nodes write, and sub-flow nodes the keys of their
+   * output mapping, plus their own declared writes.
+   * @param {BaseNode} node - The node
+   * @returns {{all: boolean, keys: Set<string>}} The keys, or all: true if any key may be written
+   * @private
+   */
+  function writtenKeys(node) {
+    const written = { all: false, keys: new Set() };
+    const contract = staticContract(node);
+    if (contract) contract.writes.forEach((schema, key) => written.keys.add(key));
+
+    if (node instanceof Flow) {
+      if (node.startNode) {
+        reachableNodes(node.startNode, node.errorHandler).forEach(member => addKeys(written, writtenKeys(member)));
+      }
+    } else if (node instanceof ParallelNode) {
+      if (node.outputKey !== null) written.keys.add(node.outputKey);
+      Object.keys(node.branches).forEach(name => addKeys(written, writtenKeys(branchFlow(node.branches[name], name))));
+    } else if (node instanceof SubFlow) {
+      try {
+        keyMapping(node.outputMap, 'outputMap').forEach(target => written.keys.add(target));
+      } catch (e) {
+        written.all = true;
+      }
+    } else if (!contract) {
+      written.all = true;
+    }
+    return written;
+  }
+
+  /**
+   * Collects the issues of a flow graph and of its nested flows
+   * @param {Flow} rootFlow - The flow to analyse
+   * @returns {Array<Object>} Issues, each with severity, code, message, flow and node
+   * @private
+   */
+  function validateGraph(rootFlow) {
+    const issues = [];
+    const add = (severity, code, flow, node, message, extra = {}) => {
+      issues.push({ severity, code, message, flow, node, ...extra });
+    };
+
+    const check = (flow, path, entry) => {
+      if (!flow.startNode) {
+        add('error', 'missing-start', flow, flow, `${path} has no start node`);
+        return;
+      }
+
+      // The error handler runs after any node fails, so it counts as reachable
+      const reachable = reachableNodes(flow.startNode, flow.errorHandler);
+      const seen = new Set(reachable);
+
+      // Shared keys available before each node: the flow's inputs plus whatever upstream nodes may write
+      const available = new Map(reachable.map(node => [node, { all: false, keys: new Set() }]));
+      addKeys(available.get(flow.startNode), entry);
+      try {
+        const inputs = contractKeys(flow.inputs, 'inputs');
+        if (inputs) addKeys(available.get(flow.startNode), { all: false, keys: new Set(inputs.keys()) });
+      } catch (e) {
+        add('error', 'invalid-contract', flow, flow, `${path}: ${e.message}`);
+      }
+      const writes = new Map(reachable.map(node => [node, writtenKeys(node)]));
+      const errorKey = typeof flow.errorKey === 'string' ? flow.errorKey : 'error';
+      for (let changed = true; changed;) {
+        changed = false;
+        reachable.forEach(node => {
+          const after = { all: false, keys: new Set() };
+          addKeys(after, available.get(node));
+          addKeys(after, writes.get(node));
+          // A failure reaches the 'error' successor or the handler with the error recorded in the shared context
+          const failed = { all: after.all, keys: new Set([...after.keys, errorKey]) };
+          Object.keys(node.successors).forEach(action => {
+            if (addKeys(available.get(node.successors[action]), action === 'error' ? failed : after)) changed = true;
+          });
+          if (flow.errorHandler && addKeys(available.get(flow.errorHandler), failed)) changed = true;
+        });
+      }
+
+      // Nodes of the flow's definition that nothing reachable leads to
+      const unreachable = (flow._declaredNodes || []).filter(node => !seen.has(node));
+      unreachable.forEach(node => {
+        add('warning', 'unreachable', flow, node, `${path} > ${nodeLabel(node)} is not reachable from the start node`);
+      });
+
+      reachable.forEach(node => {
+        const nodePath = `${path} > ${nodeLabel(node)}`;
+
+        if (!(flow instanceof AsyncFlow) && isAsyncNode(node)) {
+          add('error', 'async-in-sync-flow', flow, node,
+            `${nodePath} is asynchronous but ${path} is a synchronous Flow; use AsyncFlow`);
+        }
+
+        const actions = declaredActions(node);
+        const connected = Object.keys(node.successors);
+        const guarded = new Set((node.guards || []).map(guard => guard.name));
+        if (actions && connected.length > 0) {
+          // The wildcard successor handles every action
+          actions.forEach(action => {
+            if ((!node.successors[action] || guarded.has(action)) && !node.successors['*']) {
+              add('error', 'unhandled-action', flow, node, `${nodePath} may return '${action}', which has no successor`, { action });
+            }
+          });
+          connected.forEach(action => {
+            if (action !== 'error' && action !== '*' && !guarded.has(action) && !actions.includes(action)) {
+              add('warning', 'unused-transition', flow, node,
+                `${nodePath} has a successor for '${action}', which it does not declare`, { action });
+            }
+          });
+        }
+
+        let contract = null;
+        try {
+          contract = declaredContract(node);
+        } catch (e) {
+          add('error', 'invalid-contract', flow, node, `${nodePath}: ${e.message}`);
+        }
+        const known = available.get(node);
+        if (contract && !known.all) {
+          contract.reads.forEach((schema, key) => {
+            if (!known.keys.has(key)) {
+              add('warning', 'unwritten-read', flow, node,
+                `${nodePath} reads '${key}', which no upstream node writes and the flow's inputs do not include`, { key });
+            }
+          });
+        }
+
+        if (node instanceof Flow) check(node, nodePath, known);
+        if (node instanceof ParallelNode) {
+          // Branches start after the parallel node's prep, so they also see its own declared writes
+          const branchEntry = { all: known.all, keys: new Set(known.keys) };
+          if (contract) contract.writes.forEach((schema, key) => branchEntry.keys.add(key));
+          Object.keys(node.branches).forEach(name => {
+            check(branchFlow(node.branches[name], name), `${nodePath} [${name}]`, branchEntry);
+          });
+        }
+        if (node instanceof SubFlow) checkSubFlow(flow, node, nodePath);
+      });
+
+      stronglyConnected(reachable).forEach(component => {
+        const members = new Set(component);
+        const isCycle = component.length > 1 || Object.values(component[0].successors).includes(component[0]);
+        const hasExit = component.some(node => Object.values(node.successors).some(next => !members.has(next)));
+
+        if (isCycle && !hasExit) {
+          const names = component.reverse().map(nodeLabel).join(' -> ');
+          add('error', 'cycle-without-exit', flow, component[0], `${path} has a cycle without an exit edge: ${names}`,
+            { nodes: component });
+        }
+      });
+    };
+
+    // A sub-flow starts with the keys of its input mapping and should write the keys of its output mapping
+    const checkSubFlow = (flow, node, nodePath) => {
+      if (!(node.flow instanceof Flow)) {
+        add('error', 'missing-flow', flow, node, `${nodePath} has no flow to run`);
+        return;
+      }
+      let inputs;
+      let outputs;
+      try {
+        inputs = keyMapping(node.inputMap, 'inputMap');
+        outputs = keyMapping(node.outputMap, 'outputMap');
+      } catch (e) {
+        add('error', 'invalid-mapping', flow, node, `${nodePath}: ${e.message}`);
+        return;
+      }
+
+      const entry = { all: false, keys: new Set(inputs.values()) };
+      check(node.flow, `${nodePath} > ${nodeLabel(node.flow)}`, entry);
+      const produced = writtenKeys(node.flow);
+      addKeys(produced, entry);
+      outputs.forEach((target, source) => {
+        if (!produced.all && !produced.keys.has(source)) {
+          add('warning', 'unwritten-output', flow, node,
+            `${nodePath} passes back '${source}', which its flow never writes`, { key: source });
+        }
+      });
+    };
+
+    check(rootFlow, nodeLabel(rootFlow), { all: false, keys: new Set() });
+    return issues;
+  }
+
+  /**
+   * Error raised when a flow definition is invalid; lists every problem found
+   * @class
+   * @extends Error
+   */
+  class DefinitionError extends Error {
+    /**
+     * Creates a new DefinitionError
+     * @param {Array<{path: string, message: string}>} errors - Problems found, with the path of the offending entry
+     */
+    constructor(errors) {
+      super(`Invalid flow definition:\n${errors.map(e => `  - ${e.path}: ${e.message}`).join('\n')}`);
+      this.name = 'DefinitionError';
+
+      /**
+       * Problems found, with the path of the offending entry (e.g. "nodes.decide.next.search")
+       * @type {Array<{path: string, message: string}>}
+       */
+      this.errors = errors;
+    }
+  }
+
+  /**
+   * Maps type names used in flow definitions to node classes
+   * @class
+   */
+  class NodeRegistry {
+    /**
+     * Creates a new NodeRegistry with the built-in node and flow classes registered
+     * @constructor
+     */
+    constructor() {
+      /**
+       * Registered classes mapped by type name
+       * @type {Map<string, Function>}
+       */
+      this.types = new Map();
+
+      [BaseNode, Node, BatchNode, Flow, BatchFlow, AsyncNode, AsyncBatchNode, AsyncParallelBatchNode,
+        AsyncFlow, AsyncBatchFlow, AsyncParallelBatchFlow, ParallelNode, SubFlow].forEach(type => this.types.set(type.name, type));
+    }
+
+    /**
+     * Registers a node class under a type name
+     * @param {string} name - Type name used in definitions
+     * @param {Function} NodeClass - A BaseNode subclass, constructible without arguments
+     * @returns {NodeRegistry} This registry (for chaining)
+     * @throws {TypeError} If name is not a string or NodeClass is not a BaseNode subclass
+     */
+    register(name, NodeClass) {
+      typeChecks.validateString(name, "Type name");
+      if (typeof NodeClass !== 'function' || !(NodeClass === BaseNode || NodeClass.prototype instanceof BaseNode)) {
+        throw new TypeError("Registered type must be a BaseNode subclass");
+      }
+
+      if (this.types.has(name)) {
+        warnings.warn(`Overwriting registered node type '${name}'`);
+      }
+
+      this.types.set(name, NodeClass);
+      return this;
+    }
+
+    /**
+     * Checks whether a type name is registered
+     * @param {string} name - Type name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+      return this.types.has(name);
+    }
+
+    /**
+     * Gets the class registered under a type name
+     * @param {string} name - Type name
+     * @returns {Function|undefined} The registered class
+     */
+    get(name) {
+      return this.types.get(name);
+    }
+
+    /**
+     * Finds the type name a class is registered under
+     * @param {Function} NodeClass - Node class
+     * @returns {string|null} The type name, or null if the class is not registered
+     */
+    nameOf(NodeClass) {
+      for (const [name, type] of this.types) {
+        if (type === NodeClass) return name;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Properties allowed on a node entry of a flow definition
+   * @type {Array<string>}
+   * @private
+   */
+  const definitionKeys = ['type', 'params', 'maxRetries', 'wait', 'retry', 'timeout', 'totalTimeout', 'concurrency', 'failureMode', 'maxFailures', 'branches', 'waitFor', 'outputKey', 'isolation', 'reducers', 'reads', 'writes', 'inputs', 'actions', 'next', 'start', 'nodes', 'errorHandler', 'errorKey', 'flow', 'inputMap', 'outputMap'];
+
+  /**
+   * Retry policy classes by their definition type name
+   * @type {Object<string, Function>}
+   * @private
+   */
+  const retryPolicyTypes = {
+    custom: RetryPolicy,
+    fixed: FixedRetryPolicy,
+    exponential: ExponentialRetryPolicy
+  };
+
+  /**
+   * Builds the retry policy of a definition entry: a RetryPolicy instance, or an object with a
+   * `type` ('fixed', 'exponential' or 'custom') and the policy's options. `retryable: 'transient'`
+   * stands for RetryPolicy.isTransient.
+   * @param {RetryPolicy|Object} retry - The entry's retry setting
+   * @returns {RetryPolicy} The retry policy
+   * @throws {TypeError} If the setting is invalid
+   * @private
+   */
+  function retryPolicyFromDefinition(retry) {
+    if (retry instanceof RetryPolicy) return retry;
+    if (!isPlainObject(retry) || !Object.prototype.hasOwnProperty.call(retryPolicyTypes, retry.type)) {
+      throw new TypeError("must be a RetryPolicy or an object with type 'fixed', 'exponential' or 'custom'");
+    }
+
+    const { type, ...options } = retry;
+    if (options.retryable === 'transient') options.retryable = RetryPolicy.isTransient;
+    return new retryPolicyTypes[type](options);
+  }
+
+  /**
+   * Describes a retry policy for a definition. Functions other than RetryPolicy.isTransient
+   * cannot be described and are left out with a warning.
+   * @param {RetryPolicy} policy - The retry policy
+   * @param {string} path - Path of the node in the definition, for the warning
+   * @returns {Object} The retry setting
+   * @private
+   */
+  function describeRetryPolicy(policy, path) {
+    const type = Object.keys(retryPolicyTypes).find(name => retryPolicyTypes[name] === policy.constructor) || 'custom';
+    const retry = { type, maxAttempts: policy.maxAttempts };
+
+    if (policy instanceof ExponentialRetryPolicy) {
+      Object.assign(retry, { initialDelay: policy.initialDelay, factor: policy.factor, jitter: policy.jitter });
+    } else if (typeof policy.delay === 'number') {
+      retry.delay = policy.delay;
+    }
+    if (policy.maxDelay !== null) retry.maxDelay = policy.maxDelay;
+    retry.respectRetryAfter = policy.respectRetryAfter;
+    if (policy.retryable === RetryPolicy.isTransient) retry.retryable = 'transient';
+
+    const dropped = (policy.retryable !== null && retry.retryable === undefined) ||
+      (typeof policy.delay === 'function' && !(policy instanceof ExponentialRetryPolicy)) ||
+      policy.constructor !== retryPolicyTypes[type];
+    if (dropped) {
+      warnings.warn(`${path}.retry: custom retry logic cannot be described and was left out`);
+    }
+    return retry;
+  }
+
+  /**
+   * Checks whether a value is a plain object (not null, not an array)
+   * @param {*} value - The value to check
+   * @returns {boolean} True for plain objects
+   * @private
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Collects the problems of a definition entry (and, for flows, of its nodes)
+   * @param {*} def - Definition entry
+   * @param {string} path - Path of the entry, for error messages
+   * @param {NodeRegistry} registry - Registry resolving type names
+   * @param {Array<Object>} errors - Receives the problems found
+   * @private
+   */
+  function checkDefinition(def, path, registry, errors) {
+    const fail = (subPath, message) => errors.push({ path: subPath ? `${path}.${subPath}` : path, message });
+
+    if (!isPlainObject(def)) {
+      fail('', 'must be an object');
+      return;
+    }
+
+    Object.keys(def).forEach(key => {
+      if (!definitionKeys.includes(key)) fail(key, `unknown property '${key}'`);
+    });
+
+    let NodeClass = null;
+    if (typeof def.type !== 'string') {
+      fail('type', 'must be a string naming a registered node type');
+    } else if (!registry.has(def.type)) {
+      fail('type', `unknown node type '${def.type}'`);
+    } else {
+      NodeClass = registry.get(def.type);
+    }
+
+    if (def.params !== undefined && !isPlainObject(def.params)) {
+      fail('params', 'must be an object');
+    }
+
+    // Parallel nodes run their branches once; retries and timeouts belong on the branch nodes
+    const isFork = NodeClass && (NodeClass === ParallelNode || NodeClass.prototype instanceof ParallelNode);
+    const isNode = NodeClass && !isFork && (NodeClass === Node || NodeClass.prototype instanceof Node);
+    if (def.maxRetries !== undefined) {
+      if (!Number.isInteger(def.maxRetries) || def.maxRetries < 1) fail('maxRetries', 'must be an integer of at least 1');
+      else if (NodeClass && !isNode) fail('maxRetries', `'${def.type}' does not support retries`);
+    }
+    if (def.wait !== undefined) {
+      if (typeof def.wait !== 'number' || isNaN(def.wait) || def.wait < 0) fail('wait', 'must be a positive number');
+      else if (NodeClass && !isNode) fail('wait', `'${def.type}' does not support retries`);
+    }
+    if (def.retry !== undefined) {
+      if (NodeClass && !isNode) {
+        fail('retry', `'${def.type}' does not support retries`);
+      } else {
+        try {
+          retryPolicyFromDefinition(def.retry);
+        } catch (e) {
+          fail('retry', e.message.replace(/^(\w)/, c => c.toLowerCase()));
+        }
+      }
+    }
+    ['timeout', 'totalTimeout'].forEach(key => {
+      if (def[key] === undefined) return;
+      if (typeof def[key] !== 'number' || isNaN(def[key]) || def[key] < 0) fail(key, 'must be a positive number');
+      else if (NodeClass && (isFork || !(NodeClass === AsyncNode || NodeClass.prototype instanceof AsyncNode))) {
+        fail(key, `'${def.type}' does not support timeouts`);
+      }
+    });
+    if (def.concurrency !== undefined) {
+      const isParallel = NodeClass && [AsyncParallelBatchNode, AsyncParallelBatchFlow]
+        .some(base => NodeClass === base || NodeClass.prototype instanceof base);
+      if (!Number.isInteger(def.concurrency) || def.concurrency < 1) fail('concurrency', 'must be an integer of at least 1');
+      else if (NodeClass && !isParallel) fail('concurrency', `'${def.type}' does not support concurrency limits`);
+    }
+    const isBatchNode = NodeClass && [BatchNode, AsyncBatchNode, AsyncParallelBatchNode]
+      .some(base => NodeClass === base || NodeClass.prototype instanceof base);
+    if (def.failureMode !== undefined) {
+      if (def.failureMode !== 'failFast' && def.failureMode !== 'settle') fail('failureMode', "must be 'failFast' or 'settle'");
+      else if (NodeClass && !isBatchNode) fail('failureMode', `'${def.type}' is not a batch node`);
+    }
+    if (def.maxFailures !== undefined) {
+      if (!Number.isInteger(def.maxFailures) || def.maxFailures < 0) fail('maxFailures', 'must be a positive integer');
+      else if (NodeClass && !isBatchNode) fail('maxFailures', `'${def.type}' is not a batch node`);
+    }
+    if (def.branches !== undefined) {
+      if (!isPlainObject(def.branches) && !Array.isArray(def.branches)) {
+        fail('branches', 'must be an object or an array of node definitions');
+      } else if (NodeClass && !isFork) {
+        fail('branches', `'${def.type}' is not a parallel node`);
+      } else {
+        Object.keys(def.branches).forEach(name => {
+          checkDefinition(def.branches[name], `${path}.branches.${name}`, registry, errors);
+        });
+      }
+    }
+    if (def.waitFor !== undefined) {
+      const count = def.branches && typeof def.branches === 'object' ? Object.keys(def.branches).length : 0;
+      if (def.waitFor !== 'all' && def.waitFor !== 'race' &&
+        (!Number.isInteger(def.waitFor) || def.waitFor < 1 || def.waitFor > Math.max(count, 1))) {
+        fail('waitFor', "must be 'all', 'race' or an integer between 1 and the number of branches");
+      } else if (NodeClass && !isFork) {
+        fail('waitFor', `'${def.type}' is not a parallel node`);
+      }
+    }
+    if (def.outputKey !== undefined) {
+      if (typeof def.outputKey !== 'string') fail('outputKey', 'must be a string');
+      else if (NodeClass && !isFork) fail('outputKey', `'${def.type}' is not a parallel node`);
+    }
+    const isIsolatable = NodeClass && [ParallelNode, AsyncParallelBatchFlow]
+      .some(base => NodeClass === base || NodeClass.prototype instanceof base);
+    if (def.isolation !== undefined) {
+      if (typeof def.isolation !== 'boolean') fail('isolation', 'must be a boolean');
+      else if (NodeClass && !isIsolatable) fail('isolation', `'${def.type}' does not support state isolation`);
+    }
+    if (def.reducers !== undefined) {
+      if (!isPlainObject(def.reducers)) {
+        fail('reducers', 'must be an object mapping keys to reducer names');
+      } else if (NodeClass && !isIsolatable) {
+        fail('reducers', `'${def.type}' does not support state isolation`);
+      } else {
+        Object.keys(def.reducers).forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(stateReducers, def.reducers[key])) {
+            fail(`reducers.${key}`, `must be one of ${Object.keys(stateReducers).join(', ')}`);
+          }
+        });
+      }
+    }
+
+    const isSubFlow = NodeClass && (NodeClass === SubFlow || NodeClass.prototype instanceof SubFlow);
+    if (def.flow !== undefined) {
+      if (NodeClass && !isSubFlow) {
+        fail('flow', `'${def.type}' is not a sub-flow`);
+      } else {
+        const before = errors.length;
+        checkDefinition(def.flow, `${path}.flow`, registry, errors);
+        const FlowClass = errors.length === before ? registry.get(def.flow.type) : null;
+        if (FlowClass && FlowClass !== Flow && !(FlowClass.prototype instanceof Flow)) {
+          fail('flow.type', `'${def.flow.type}' is not a flow`);
+        } else if (FlowClass && def.flow.next !== undefined) {
+          fail('flow.next', 'the flow of a sub-flow cannot define successors');
+        }
+      }
+    } else if (isSubFlow) {
+      fail('flow', 'must be a flow definition');
+    }
+    ['inputMap', 'outputMap'].forEach(key => {
+      if (def[key] === undefined) return;
+      try {
+        keyMapping(def[key], key);
+        if (NodeClass && !isSubFlow) fail(key, `'${def.type}' is not a sub-flow`);
+      } catch (e) {
+        fail(key, 'must be an array of keys or an object mapping keys to key names');
+      }
+    });
+
+    if (def.actions !== undefined &&
+      (!Array.isArray(def.actions) || def.actions.some(action => typeof action !== 'string'))) {
+      fail('actions', 'must be an array of action names');
+    }
+    ['reads', 'writes', 'inputs'].forEach(key => {
+      if (def[key] === undefined) return;
+      try {
+        contractKeys(def[key], key);
+      } catch (e) {
+        fail(key, 'must be an array of keys or an object mapping keys to schemas');
+      }
+    });
+
+    if (def.next !== undefined) {
+      if (!isPlainObject(def.next)) {
+        fail('next', 'must be an object mapping actions to node names');
+      } else {
+        Object.keys(def.next).forEach(action => {
+          if (typeof def.next[action] !== 'string') fail(`next.${action}`, 'must be a node name');
+        });
+      }
+    }
+
+    const isFlow = NodeClass && (NodeClass === Flow || NodeClass.prototype instanceof Flow);
+    if (NodeClass && !isFlow) {
+      if (def.inputs !== undefined) fail('inputs', `'${def.type}' is not a flow and cannot declare inputs`);
+      if (def.nodes !== undefined) fail('nodes', `'${def.type}' is not a flow and cannot define nodes`);
+      if (def.start !== undefined) fail('start', `'${def.type}' is not a flow and cannot define a start node`);
+      if (def.errorHandler !== undefined) fail('errorHandler', `'${def.type}' is not a flow and cannot define an error handler`);
+      if (def.errorKey !== undefined) fail('errorKey', `'${def.type}' is not a flow and cannot define an error key`);
+      return;
+    }
+
+    if (!isPlainObject(def.nodes) || Object.keys(def.nodes).length === 0) {
+      if (NodeClass) fail('nodes', 'must be an object with at least one node');
+      return;
+    }
+
+    if (typeof def.start !== 'string') {
+      fail('start', 'must be the name of one of the flow\'s nodes');
+    } else if (!Object.prototype.hasOwnProperty.call(def.nodes, def.start)) {
+      fail('start', `unknown node '${def.start}'`);
+    }
+    if (def.errorHandler !== undefined) {
+      if (typeof def.errorHandler !== 'string') {
+        fail('errorHandler', 'must be the name of one of the flow\'s nodes');
+      } else if (!Object.prototype.hasOwnProperty.call(def.nodes, def.errorHandler)) {
+        fail('errorHandler', `unknown node '${def.errorHandler}'`);
+      }
+    }
+    if (def.errorKey !== undefined && (typeof def.errorKey !== 'string' || def.errorKey === '')) {
+      fail('errorKey', 'must be a non-empty string');
+    }
+
+    Object.keys(def.nodes).forEach(key => {
+      const child = def.nodes[key];
+      checkDefinition(child, `${path}.nodes.${key}`, registry, errors);
+
+      if (isPlainObject(child) && isPlainObject(child.next)) {
+        Object.keys(child.next).forEach(action => {
+          const target = child.next[action];
+          if (typeof target === 'string' && !Object.prototype.hasOwnProperty.call(def.nodes, target)) {
+            errors.push({ path: `${path}.nodes.${key}.next.${action}`, message: `unknown node '${target}'` });
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Instantiates a checked definition entry
+   * @param {Object} def - Definition entry
+   * @param {string|null} id - Name of the entry within its flow
+   * @param {NodeRegistry} registry - Registry resolving type names
+   * @returns {BaseNode} The node (or flow, with its nodes wired up)
+   * @private
+   */
+  function instantiateDefinition(def, id, registry) {
+    const NodeClass = registry.get(def.type);
+    const node = new NodeClass();
+
+    node.id = id;
+    if (def.params) node.setParams({ ...def.params });
+    if (def.maxRetries !== undefined) node.maxRetries = def.maxRetries;
+    if (def.wait !== undefined) node.wait = def.wait;
+    if (def.retry !== undefined) node.retryPolicy = retryPolicyFromDefinition(def.retry);
+    if (def.timeout !== undefined) node.timeout = def.timeout;
+    if (def.totalTimeout !== undefined) node.totalTimeout = def.totalTimeout;
+    if (def.concurrency !== undefined) node.concurrency = def.concurrency;
+    if (def.failureMode !== undefined) node.failureMode = def.failureMode;
+    if (def.maxFailures !== undefined) node.maxFailures = def.maxFailures;
+    if (def.branches !== undefined) {
+      const branches = Array.isArray(def.branches) ? [] : {};
+      Object.keys(def.branches).forEach(name => {
+        branches[name] = instantiateDefinition(def.branches[name], name, registry);
+      });
+      node.branches = branches;
+    }
+    if (def.waitFor !== undefined) node.waitFor = def.waitFor;
+    if (def.outputKey !== undefined) node.outputKey = def.outputKey;
+    if (def.isolation !== undefined) node.isolation = def.isolation;
+    if (def.reducers !== undefined) node.reducers = { ...def.reducers };
+    if (def.actions !== undefined) node.actions = [...def.actions];
+    if (def.reads !== undefined) node.reads = deepCopy(def.reads);
+    if (def.writes !== undefined) node.writes = deepCopy(def.writes);
+    if (def.inputs !== undefined) node.inputs = deepCopy(def.inputs);
+    if (def.flow !== undefined) node.flow = instantiateDefinition(def.flow, null, registry);
+    if (def.inputMap !== undefined) node.inputMap = deepCopy(def.inputMap);
+    if (def.outputMap !== undefined) node.outputMap = deepCopy(def.outputMap);
+
+    if (node instanceof Flow) {
+      const nodes = {};
+      Object.keys(def.nodes).forEach(key => {
+        nodes[key] = instantiateDefinition(def.nodes[key], key, registry);
+      });
+      Object.keys(def.nodes).forEach(key => {
+        const next = def.nodes[key].next || {};
+        Object.keys(next).forEach(action => nodes[key].next(nodes[next[action]], action));
+      });
+      node.start(nodes[def.start]);
+      node._declaredNodes = Object.values(nodes);
+      if (def.errorHandler !== undefined) node.onError(nodes[def.errorHandler]);
+      if (def.errorKey !== undefined) node.errorKey = def.errorKey;
+    }
+
+    return node;
+  }
+
+  /**
+   * Names the nodes of a flow in breadth-first order, keeping their ids where they are unique.
+   * The names are stable for a given graph, so they identify nodes across processes.
+   * @param {Flow} flow - The flow whose nodes to name
+   * @returns {Map<BaseNode, string>} Name of each reachable node, in breadth-first order
+   * @private
+   */
+  function nameNodes(flow) {
+    const names = new Map();
+    const used = new Set();
+    const queue = flow.startNode ? [flow.startNode] : [];
+    if (flow.startNode && flow.errorHandler) queue.push(flow.errorHandler);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (names.has(node)) continue;
+
+      const base = node.id || nodeLabel(node);
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+      names.set(node, name);
+      used.add(name);
+
+      Object.keys(node.successors).forEach(action => queue.push(node.successors[action]));
+    }
+    return names;
+  }
+
+  /**
+   * Serializes a flow and its nodes into a definition
+   * @param {Flow} flow - The flow to describe
+   * @param {NodeRegistry} registry - Registry providing the type names
+   * @returns {Object} Flow definition
+   * @throws {DefinitionError} If a node class is not registered
+   * @private
+   */
+  function describeDefinition(flow, registry) {
+    const errors = [];
+
+    const describe = (node, path) => {
+      const type = registry.nameOf(node.constructor);
+      if (!type) errors.push({ path, message: `class '${node.constructor.name}' is not registered` });
+
+      const def = { type };
+      if (Object.keys(node.params).length > 0) def.params = deepCopy(node.params);
+      if (node instanceof Node) {
+        if (node.maxRetries !== 1) def.maxRetries = node.maxRetries;
+        if (node.wait !== 0) def.wait = node.wait;
+        if (node.retryPolicy) def.retry = describeRetryPolicy(node.retryPolicy, path);
+      }
+      if (node instanceof AsyncNode) {
+        if (node.timeout !== null) def.timeout = node.timeout;
+        if (node.totalTimeout !== null) def.totalTimeout = node.totalTimeout;
+      }
+      if (node.concurrency !== undefined && node.concurrency !== null) def.concurrency = node.concurrency;
+      if (node.failureMode !== undefined && node.failureMode !== 'failFast') def.failureMode = node.failureMode;
+      if (node.maxFailures !== undefined && node.maxFailures !== null) def.maxFailures = node.maxFailures;
+      if (node instanceof ParallelNode) {
+        // A branch that continues through successors is described as a flow starting at its node
+        def.branches = Array.isArray(node.branches) ? [] : {};
+        Object.keys(node.branches).forEach(name => {
+          const branch = node.branches[name];
+          const described = Object.keys(branch.successors).length > 0 ? branchFlow(branch, name) : branch;
+          def.branches[name] = describe(described, `${path}.branches.${name}`);
+        });
+        if (node.waitFor !== 'all') def.waitFor = node.waitFor;
+        if (node.outputKey !== null) def.outputKey = node.outputKey;
+        if (node.merge) warnings.warn(`${path}.merge: merge functions cannot be described and were left out`);
+      }
+      if (node instanceof SubFlow) {
+        if (node.flow) def.flow = describe(node.flow, `${path}.flow`);
+        ['inputMap', 'outputMap'].forEach(key => {
+          if (Object.keys(node[key]).length > 0) def[key] = deepCopy(node[key]);
+        });
+      }
+      if (node.isolation === true) def.isolation = true;
+      if (isPlainObject(node.reducers) && Object.keys(node.reducers).length > 0) {
+        def.reducers = {};
+        Object.keys(node.reducers).forEach(key => {
+          if (typeof node.reducers[key] === 'string') def.reducers[key] = node.reducers[key];
+          else warnings.warn(`${path}.reducers.${key}: custom reducers cannot be described and were left out`);
+        });
+      }
+      if (Array.isArray(node.actions)) def.actions = [...node.actions];
+      ['reads', 'writes', 'inputs'].forEach(key => {
+        if (node[key] !== null && node[key] !== undefined) def[key] = deepCopy(node[key]);
+      });
+
+      if (node instanceof Flow && node.startNode) {
+        const names = nameNodes(node);
+        def.start = names.get(node.startNode);
+        if (node.errorHandler) def.errorHandler = names.get(node.errorHandler);
+        if (node.errorKey !== 'error') def.errorKey = node.errorKey;
+        def.nodes = {};
+        names.forEach((name, child) => {
+          const childDef = describe(child, `${path}.nodes.${name}`);
+          const guarded = new Set((child.guards || []).map(guard => guard.name));
+          guarded.forEach(guard => {
+            warnings.warn(`${path}.nodes.${name}.next: guard '${guard}' cannot be described and was left out`);
+          });
+          const actions = Object.keys(child.successors).filter(action => !guarded.has(action));
+          if (actions.length > 0) {
+            childDef.next = {};
+            actions.forEach(action => {
+              childDef.next[action] = names.get(child.successors[action]);
+            });
+          }
+          def.nodes[name] = childDef;
+        });
+      }
+
+      return def;
+    };
+
+    const definition = describe(flow, 'definition');
+    if (errors.length > 0) throw new DefinitionError(errors);
+    return definition;
+  }
+
+  /**
+   * Default registry used by Flow.fromDefinition and flow.toDefinition
+   * @type {NodeRegistry}
+   */
+  const defaultRegistry = new NodeRegistry();
+
+  /**
+   * Format version written into every checkpoint
+   * @type {number}
+   * @private
+   */
+  const checkpointVersion = 1;
+
+  /**
+   * Loads the Node.js modules used for files
+   * @param {string} feature - Name of the feature needing them, for the error message
+   * @returns {{fs: Object, path: Object}} The fs promises API and the path module
+   * @throws {Error} If not running under Node.js
+   * @private
+   */
+  function nodeModules(feature) {
+    if (typeof require !== 'function') {
+      throw new Error(`${feature} requires Node.js`);
+    }
+    return { fs: require('fs').promises, path: require('path') };
+  }
+
+  /**
+   * Interface of the stores that persist checkpoints. Subclasses implement save, load and delete.
+   * @class
+   */
+  class CheckpointStore {
+    /**
+     * Persists a checkpoint, replacing any previous checkpoint under the same key
+     * @param {string} key - Checkpoint key
+     * @param {Object} checkpoint - JSON-compatible checkpoint
+     * @returns {Promise<void>} Promise resolving once the checkpoint is stored
+     */
+    async save(key, checkpoint) {
+      throw new Error(`${this.constructor.name} must implement save()`);
+    }
+
+    /**
+     * Loads the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<Object|null>} Promise resolving to the checkpoint, or null if there is none
+     */
+    async load(key) {
+      throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * Removes the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<void>} Promise resolving once the checkpoint is removed
+     */
+    async delete(key) {
+      throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+  }
+
+  /**
+   * Checkpoint store keeping checkpoints in memory, for tests and for runs that only need to survive errors
+   * @class
+   * @extends CheckpointStore
+   */
+  class MemoryCheckpointStore extends CheckpointStore {
+    /**
+     * Creates a new MemoryCheckpointStore instance
+     * @constructor
+     */
+    constructor() {
+      super();
+
+      /**
+       * Stored checkpoints as JSON strings, by key
+       * @type {Map<string, string>}
+       */
+      this.checkpoints = new Map();
+    }
+
+    /**
+     * Stores a copy of a checkpoint
+     * @param {string} key - Checkpoint key
+     * @param {Object} checkpoint - JSON-compatible checkpoint
+     * @returns {Promise<void>} Promise resolving once the checkpoint is stored
+     */
+    async save(key, checkpoint) {
+      this.checkpoints.set(key, JSON.stringify(checkpoint));
+    }
+
+    /**
+     * Loads a copy of the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<Object|null>} Promise resolving to the checkpoint, or null if there is none
+     */
+    async load(key) {
+      const data = this.checkpoints.get(key);
+      return data === undefined ? null : JSON.parse(data);
+    }
+
+    /**
+     * Removes the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<void>} Promise resolving once the checkpoint is removed
+     */
+    async delete(key) {
+      this.checkpoints.delete(key);
+    }
+  }
+
+  /**
+   * Checkpoint store backed by the browser's localStorage (or any object with the same interface)
+   * @class
+   * @extends CheckpointStore
+   */
+  class LocalStorageCheckpointStore extends CheckpointStore {
+    /**
+     * Creates a new LocalStorageCheckpointStore instance
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.prefix='smolflow:checkpoint:'] - Prefix of the storage keys
+     * @param {Storage} [options.storage] - Storage to use instead of the global localStorage
+     */
+    constructor(options = {}) {
+      super();
+      const { prefix = 'smolflow:checkpoint:', storage = null } = options;
+      typeChecks.validateString(prefix, 'Prefix');
+
+      /**
+       * Prefix of the storage keys
+       * @type {string}
+       */
+      this.prefix = prefix;
+
+      /**
+       * Storage to use instead of the global localStorage
+       * @type {Storage|null}
+       */
+      this.storage = storage;
+    }
+
+    /**
+     * Returns the storage in use
+     * @returns {Storage} The storage
+     * @throws {Error} If no storage is available
+     * @private
+     */
+    _storage() {
+      const storage = this.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+      if (!storage) {
+        throw new Error('localStorage is not available in this environment');
+      }
+      return storage;
+    }
+
+    /**
+     * Stores a checkpoint
+     * @param {string} key - Checkpoint key
+     * @param {Object} checkpoint - JSON-compatible checkpoint
+     * @returns {Promise<void>} Promise resolving once the checkpoint is stored
+     */
+    async save(key, checkpoint) {
+      this._storage().setItem(this.prefix + key, JSON.stringify(checkpoint));
+    }
+
+    /**
+     * Loads the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<Object|null>} Promise resolving to the checkpoint, or null if there is none
+     */
+    async load(key) {
+      const data = this._storage().getItem(this.prefix + key);
+      return data === null ? null : JSON.parse(data);
+    }
+
+    /**
+     * Removes the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<void>} Promise resolving once the checkpoint is removed
+     */
+    async delete(key) {
+      this._storage().removeItem(this.prefix + key);
+    }
+  }
+
+  /**
+   * Checkpoint store writing one JSON file per key into a directory (Node.js only)
+   * @class
+   * @extends CheckpointStore
+   */
+  class FileCheckpointStore extends CheckpointStore {
+    /**
+     * Creates a new FileCheckpointStore instance
+     * @param {string} directory - Directory holding the checkpoint files (created on first save)
+     */
+    constructor(directory) {
       super();
+      typeChecks.validateString(directory, 'Directory');
 
       /**
-       * Maximum number of retry attempts
-       * @type {number}
-       */
-      this.maxRetries = maxRetries;
-
-      /**
-       * Wait time between retries (seconds)
-       * @type {number}
+       * Directory holding the checkpoint files
+       * @type {string}
        */
-      this.wait = wait;
+      this.directory = directory;
+    }
 
-      /**
-       * Current retry attempt (set during execution)
-       * @type {number}
-       */
-      this.curRetry = 0;
+    /**
+     * Returns the file holding the checkpoint for a key
+     * @param {string} key - Checkpoint key
+     * @returns {string} File path
+     * @private
+     */
+    _file(key) {
+      return nodeModules('FileCheckpointStore').path.join(this.directory, `${encodeURIComponent(key)}.json`);
     }
 
     /**
-     * Fallback execution handler for when all retries fail
-     * @param {*} prepRes - Result from the prep phase
-     * @param {Error} exc - The exception that caused the failure
-     * @returns {*} Fallback result
-     * @throws {Error} The original exception by default
+     * Stores a checkpoint, replacing the file atomically
+     * @param {string} key - Checkpoint key
+     * @param {Object} checkpoint - JSON-compatible checkpoint
+     * @returns {Promise<void>} Promise resolving once the checkpoint is written
      */
-    execFallback(prepRes, exc) {
-      throw exc;
+    async save(key, checkpoint) {
+      const { fs } = nodeModules('FileCheckpointStore');
+      const file = this._file(key);
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(checkpoint));
+      await fs.rename(`${file}.tmp`, file);
     }
 
     /**
-     * Internal execution method with retry logic
-     * @param {*} prepRes - Result from the prep phase
-     * @returns {*} Execution result
-     * @protected
+     * Loads the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<Object|null>} Promise resolving to the checkpoint, or null if there is none
      */
-    _exec(prepRes) {
-      for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry++) {
-        try {
-          return this.exec(prepRes);
-        } catch (e) {
-          if (this.curRetry === this.maxRetries - 1) {
-            return this.execFallback(prepRes, e);
-          }
+    async load(key) {
+      const { fs } = nodeModules('FileCheckpointStore');
+      try {
+        return JSON.parse(await fs.readFile(this._file(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
 
-          if (this.wait > 0) {
-            warnings.warn("Synchronous wait in browser JS is not recommended. Consider using AsyncNode instead.");
-            // Non-blocking wait (doesn't actually pause execution)
-            setTimeout(() => { }, this.wait * 1000);
-          }
-        }
+    /**
+     * Removes the checkpoint stored under a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<void>} Promise resolving once the file is removed
+     */
+    async delete(key) {
+      const { fs } = nodeModules('FileCheckpointStore');
+      try {
+        await fs.unlink(this._file(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
       }
     }
   }
 
   /**
-   * Processes items in a batch
+   * Run cache modes: 'use' reads and writes the caches of memoized nodes, 'bypass' ignores them,
+   * and 'refresh' skips reading but stores the new results, replacing stale entries
+   * @type {Array<string>}
+   * @private
+   */
+  const cacheModes = ['use', 'bypass', 'refresh'];
+
+  /**
+   * Writes JSON-compatible data as JSON with object keys in sorted order, so equal data always gives equal text
+   * @param {*} data - JSON-compatible data
+   * @returns {string} Canonical JSON
+   * @private
+   */
+  function canonicalJSON(data) {
+    if (Array.isArray(data)) return `[${data.map(canonicalJSON).join(',')}]`;
+    if (data !== null && typeof data === 'object') {
+      return `{${Object.keys(data).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(data[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(data);
+  }
+
+  /**
+   * Computes a stable 64-bit hash of a value's content, independent of object key order.
+   * The hash is meant for cache keys; it is not cryptographic.
+   * @param {*} value - The value to hash; it is encoded with serialize()
+   * @returns {string} 16 hexadecimal digits
+   * @throws {TypeError} If the value contains a circular reference
+   */
+  function stableHash(value) {
+    const text = canonicalJSON(serialize(value));
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Validates the memoization settings of a node
+   * @param {Object} cache - The node's cache settings
+   * @throws {TypeError} If the settings are invalid
+   * @private
+   */
+  function validateCacheSettings(cache) {
+    if (!isPlainObject(cache)) {
+      throw new TypeError('Cache settings must be an object');
+    }
+    if (!cache.store || typeof cache.store.get !== 'function' || typeof cache.store.set !== 'function') {
+      throw new TypeError('Cache store must implement get() and set()');
+    }
+    if (cache.version !== undefined) typeChecks.validateString(cache.version, 'Cache version');
+    if (cache.namespace !== undefined) typeChecks.validateString(cache.namespace, 'Cache namespace');
+    if (cache.ttl !== undefined && cache.ttl !== null) typeChecks.validatePositiveNumber(cache.ttl, 'Cache TTL');
+  }
+
+  /**
+   * Resolves where one exec call of a memoized node is cached. The key hashes the prep result
+   * together with the node's params, which tell the items of batch flows apart.
+   * @param {Node} node - The running node
+   * @param {*} prepRes - Result of the prep phase, hashed into the key
+   * @param {Object} ctx - Run context
+   * @returns {{store: CacheStore, key: string, ttl: (number|null), read: boolean}|null} The store, the key,
+   *   the entries' lifetime and whether to read the store; null if the call is not cached
+   * @private
+   */
+  function memoFor(node, prepRes, ctx) {
+    if (node.cache === null || node.cache === undefined) return null;
+    validateCacheSettings(node.cache);
+
+    // A cassette decides the outcome of every exec call, so it takes precedence over the cache
+    const mode = ctx.cacheMode || 'use';
+    if (mode === 'bypass' || ctx.cassette) return null;
+
+    const label = node.cache.namespace || nodeLabel(ctx.node || node);
+    let hash;
+    try {
+      hash = stableHash({ prepRes, params: node.params });
+    } catch (e) {
+      warnings.warn(`${label}: the prep result or params cannot be hashed, so the call is not cached (${e.message})`);
+      return null;
+    }
+
+    const version = node.cache.version === undefined ? '' : node.cache.version;
+    const ttl = node.cache.ttl === undefined ? null : node.cache.ttl;
+    return { store: node.cache.store, key: `${label}:${version}:${hash}`, ttl, read: mode === 'use' };
+  }
+
+  /**
+   * Returns the value of a cache entry that has not expired
+   * @param {Object|null} entry - Entry read from a cache store
+   * @returns {{value: *}|null} The decoded value, or null on a miss
+   * @private
+   */
+  function cacheHit(entry) {
+    if (!isPlainObject(entry) || !('value' in entry)) return null;
+    if (typeof entry.expiresAt === 'number' && entry.expiresAt <= Date.now()) return null;
+    return { value: deserialize(entry.value) };
+  }
+
+  /**
+   * Builds the cache entry of an exec result
+   * @param {*} value - The exec result
+   * @param {Object} memo - Where the call is cached, from memoFor()
+   * @param {BaseNode} node - Node reported in warnings
+   * @returns {Object|null} JSON-compatible entry, or null if the result cannot be serialized
+   * @private
+   */
+  function cacheEntry(value, memo, node) {
+    let data;
+    try {
+      data = serialize(value);
+    } catch (e) {
+      warnings.warn(`${nodeLabel(node)}: the exec result cannot be serialized, so it is not cached (${e.message})`);
+      return null;
+    }
+
+    const createdAt = Date.now();
+    return { value: data, createdAt, expiresAt: memo.ttl === null ? null : createdAt + memo.ttl * 1000 };
+  }
+
+  /**
+   * Returns the result of a cache store call made by a synchronous node
+   * @param {*} result - Value returned by the store
+   * @param {BaseNode} node - The node using the store
+   * @returns {*} The result
+   * @throws {TypeError} If the store answered with a promise
+   * @private
+   */
+  function syncCacheResult(result, node) {
+    if (result && typeof result.then === 'function') {
+      throw new TypeError(`${nodeLabel(node)} is synchronous and cannot use an asynchronous cache store`);
+    }
+    return result;
+  }
+
+  /**
+   * Interface of the stores that hold memoized exec results. Subclasses implement get, set, delete and clear.
+   * Each method may return a promise; synchronous nodes can only use stores that answer directly.
    * @class
-   * @extends Node
    */
-  class BatchNode extends Node {
+  class CacheStore {
     /**
-     * Internal execution method that processes each item
-     * @param {Array} items - Items to process
-     * @returns {Array} Array of execution results
-     * @protected
+     * Reads the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Object|null|Promise<Object|null>} The entry ({value, createdAt, expiresAt}), or null if there is none
      */
-    _exec(items) {
-      if (!items) return [];
-      if (!Array.isArray(items)) {
-        warnings.warn("BatchNode expected an array but received " + typeof items);
-        return [super._exec(items)];
-      }
-      return items.map(item => super._exec(item));
+    get(key) {
+      throw new Error(`${this.constructor.name} must implement get()`);
+    }
+
+    /**
+     * Stores an entry, replacing any previous entry under the same key
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-compatible entry
+     * @returns {void|Promise<void>}
+     */
+    set(key, entry) {
+      throw new Error(`${this.constructor.name} must implement set()`);
+    }
+
+    /**
+     * Removes the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {void|Promise<void>}
+     */
+    delete(key) {
+      throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+
+    /**
+     * Removes every entry of the store
+     * @returns {void|Promise<void>}
+     */
+    clear() {
+      throw new Error(`${this.constructor.name} must implement clear()`);
     }
   }
 
   /**
-   * Orchestrates node execution
+   * Cache store keeping entries in memory, evicting the least recently used entry once it is full.
+   * It answers synchronously, so synchronous nodes can use it.
    * @class
-   * @extends BaseNode
+   * @extends CacheStore
    */
-  class Flow extends BaseNode {
+  class MemoryCacheStore extends CacheStore {
     /**
-     * Creates a new Flow instance
-     * @param {BaseNode} [startNode=null] - The starting node
+     * Creates a new MemoryCacheStore instance
+     * @param {Object} [options={}] - Store options
+     * @param {number} [options.maxEntries=1000] - Number of entries kept
+     * @throws {TypeError} If maxEntries is not an integer of at least 1
      */
-    constructor(startNode = null) {
+    constructor(options = {}) {
       super();
+      const { maxEntries = 1000 } = options;
+      if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new TypeError('Max entries must be an integer of at least 1');
+      }
 
       /**
-       * The starting node for this flow
-       * @type {BaseNode}
+       * Number of entries kept
+       * @type {number}
        */
-      this.startNode = startNode;
+      this.maxEntries = maxEntries;
+
+      /**
+       * Entries as JSON strings, from least to most recently used
+       * @type {Map<string, string>}
+       */
+      this.entries = new Map();
     }
 
     /**
-     * Sets the starting node for this flow
-     * @param {BaseNode} startNode - The starting node
-     * @returns {BaseNode} The starting node (for chaining)
+     * Reads a copy of the entry stored under a key and marks it as recently used
+     * @param {string} key - Cache key
+     * @returns {Object|null} The entry, or null if there is none
      */
-    start(startNode) {
-      if (!(startNode instanceof BaseNode)) {
-        throw new TypeError("Start node must be a BaseNode instance");
+    get(key) {
+      const data = this.entries.get(key);
+      if (data === undefined) return null;
+
+      this.entries.delete(key);
+      this.entries.set(key, data);
+      return JSON.parse(data);
+    }
+
+    /**
+     * Stores a copy of an entry, evicting the least recently used entry if the store is full
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-compatible entry
+     */
+    set(key, entry) {
+      this.entries.delete(key);
+      this.entries.set(key, JSON.stringify(entry));
+      if (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
       }
-      this.startNode = startNode;
-      return startNode;
     }
 
     /**
-     * Gets the next node based on the current node and action
-     * @param {BaseNode} curr - Current node
-     * @param {string} action - Action name
-     * @returns {BaseNode|null} The next node or null if not found
+     * Removes the entry stored under a key
+     * @param {string} key - Cache key
      */
-    getNextNode(curr, action) {
-      const nextAction = action || "default";
-      const next = curr.successors[nextAction];
+    delete(key) {
+      this.entries.delete(key);
+    }
 
-      if (!next && Object.keys(curr.successors).length > 0) {
-        warnings.warn(`Flow ends: '${nextAction}' not found in ${JSON.stringify(Object.keys(curr.successors))}`);
-      }
+    /**
+     * Removes every entry
+     */
+    clear() {
+      this.entries.clear();
+    }
+  }
 
-      return next;
+  /**
+   * Cache store backed by the browser's localStorage (or any object with the same interface).
+   * It answers synchronously, so synchronous nodes can use it.
+   * @class
+   * @extends CacheStore
+   */
+  class LocalStorageCacheStore extends CacheStore {
+    /**
+     * Creates a new LocalStorageCacheStore instance
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.prefix='smolflow:cache:'] - Prefix of the storage keys
+     * @param {Storage} [options.storage] - Storage to use instead of the global localStorage
+     */
+    constructor(options = {}) {
+      super();
+      const { prefix = 'smolflow:cache:', storage = null } = options;
+      typeChecks.validateString(prefix, 'Prefix');
+
+      /**
+       * Prefix of the storage keys
+       * @type {string}
+       */
+      this.prefix = prefix;
+
+      /**
+       * Storage to use instead of the global localStorage
+       * @type {Storage|null}
+       */
+      this.storage = storage;
     }
 
     /**
-     * Orchestrates node execution through the flow
-     * @param {Object} shared - Shared context object
-     * @param {Object} [params=null] - Parameters to pass to nodes
-     * @returns {*} Final execution result
-     * @protected
+     * Returns the storage in use
+     * @returns {Storage} The storage
+     * @throws {Error} If no storage is available
+     * @private
      */
-    _orchestrate(shared, params = null) {
-      if (!this.startNode) {
-        warnings.warn("Flow has no start node");
-        return null;
+    _storage() {
+      const storage = this.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+      if (!storage) {
+        throw new Error('localStorage is not available in this environment');
       }
+      return storage;
+    }
 
-      let curr = this.startNode;
-      let p = params || { ...this.params };
-      let lastAction = null;
+    /**
+     * Reads the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Object|null} The entry, or null if there is none
+     */
+    get(key) {
+      const data = this._storage().getItem(this.prefix + key);
+      return data === null ? null : JSON.parse(data);
+    }
 
-      while (curr) {
-        // Create a shallow copy of the current node to avoid side effects
-        const currentNode = shallowCopy(curr);
-        currentNode.setParams(p);
-        lastAction = currentNode._run(shared);
-        curr = this.getNextNode(curr, lastAction);
-      }
+    /**
+     * Stores an entry
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-compatible entry
+     */
+    set(key, entry) {
+      this._storage().setItem(this.prefix + key, JSON.stringify(entry));
+    }
 
-      return lastAction;
+    /**
+     * Removes the entry stored under a key
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+      this._storage().removeItem(this.prefix + key);
     }
 
     /**
-     * Internal run method that orchestrates the flow execution
-     * @param {Object} shared - Shared context object
-     * @returns {*} Result of flow execution
-     * @protected
+     * Removes every entry whose storage key starts with the prefix
      */
-    _run(shared) {
-      const p = this.prep(shared);
-      const o = this._orchestrate(shared);
-      return this.post(shared, p, o);
+    clear() {
+      const storage = this._storage();
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key !== null && key.startsWith(this.prefix)) keys.push(key);
+      }
+      keys.forEach(key => storage.removeItem(key));
     }
   }
 
   /**
-   * Processes multiple parameter sets through a flow
+   * Cache store backed by an IndexedDB object store, for results too large for localStorage
    * @class
-   * @extends Flow
+   * @extends CacheStore
    */
-  class BatchFlow extends Flow {
+  class IndexedDBCacheStore extends CacheStore {
     /**
-     * Internal run method that processes each parameter set
-     * @param {Object} shared - Shared context object
-     * @returns {*} Result of batch flow execution
-     * @protected
+     * Creates a new IndexedDBCacheStore instance
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.database='smolflow-cache'] - Name of the database (created on first use)
+     * @param {string} [options.storeName='entries'] - Name of the object store within the database
+     * @param {IDBFactory} [options.indexedDB] - Factory to use instead of the global indexedDB
      */
-    _run(shared) {
-      const pr = this.prep(shared) || [];
+    constructor(options = {}) {
+      super();
+      const { database = 'smolflow-cache', storeName = 'entries', indexedDB = null } = options;
+      typeChecks.validateString(database, 'Database');
+      typeChecks.validateString(storeName, 'Store name');
 
-      if (!Array.isArray(pr)) {
-        warnings.warn("BatchFlow expected an array from prep() but received " + typeof pr);
-        return this.post(shared, pr, null);
-      }
+      /**
+       * Name of the database
+       * @type {string}
+       */
+      this.database = database;
+
+      /**
+       * Name of the object store within the database
+       * @type {string}
+       */
+      this.storeName = storeName;
+
+      /**
+       * Factory to use instead of the global indexedDB
+       * @type {IDBFactory|null}
+       */
+      this.indexedDB = indexedDB;
+
+      /**
+       * Promise of the open database, once it has been requested
+       * @type {Promise<IDBDatabase>|null}
+       * @private
+       */
+      this._opening = null;
+    }
 
-      for (const bp of pr) {
-        this._orchestrate(shared, { ...this.params, ...bp });
+    /**
+     * Opens the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+     * @throws {Error} If IndexedDB is not available
+     * @private
+     */
+    _open() {
+      if (!this._opening) {
+        const factory = this.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        if (!factory) {
+          throw new Error('IndexedDB is not available in this environment');
+        }
+
+        this._opening = new Promise((resolve, reject) => {
+          const request = factory.open(this.database, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        this._opening.catch(() => {
+          this._opening = null; // Let the next call try again
+        });
       }
+      return this._opening;
+    }
 
-      return this.post(shared, pr, null);
+    /**
+     * Runs one request in a transaction on the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store and returns the request
+     * @returns {Promise<*>} Promise resolving to the request's result once the transaction completes
+     * @private
+     */
+    async _request(mode, operation) {
+      const db = await this._open();
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = operation(transaction.objectStore(this.storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
     }
-  }
 
-  /**
-   * Asynchronous node with retry capabilities
-   * @class
-   * @extends Node
-   */
-  class AsyncNode extends Node {
     /**
-     * Asynchronous preparation phase
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to preparation result
+     * Reads the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Promise resolving to the entry, or null if there is none
      */
-    async prepAsync(shared) {
-      return null;
+    async get(key) {
+      const entry = await this._request('readonly', store => store.get(key));
+      return entry === undefined ? null : entry;
     }
 
     /**
-     * Asynchronous execution phase
-     * @param {*} prepRes - Result from the prepAsync phase
-     * @returns {Promise<*>} Promise resolving to execution result
+     * Stores an entry
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-compatible entry
+     * @returns {Promise<void>} Promise resolving once the entry is stored
      */
-    async execAsync(prepRes) {
-      return null;
+    async set(key, entry) {
+      await this._request('readwrite', store => store.put(entry, key));
+    }
+
+    /**
+     * Removes the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Promise<void>} Promise resolving once the entry is removed
+     */
+    async delete(key) {
+      await this._request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Removes every entry of the object store
+     * @returns {Promise<void>} Promise resolving once the store is empty
+     */
+    async clear() {
+      await this._request('readwrite', store => store.clear());
     }
+  }
 
+  /**
+   * Cache store writing one JSON file per entry into a directory. Works only in Node.js.
+   * @class
+   * @extends CacheStore
+   */
+  class FileCacheStore extends CacheStore {
     /**
-     * Asynchronous fallback execution handler
-     * @param {*} prepRes - Result from the prepAsync phase
-     * @param {Error} exc - The exception that caused the failure
-     * @returns {Promise<*>} Promise resolving to fallback result
-     * @throws {Error} The original exception by default
+     * Creates a new FileCacheStore instance
+     * @param {string} directory - Directory holding the cache files (created on first write)
      */
-    async execFallbackAsync(prepRes, exc) {
-      throw exc;
+    constructor(directory) {
+      super();
+      typeChecks.validateString(directory, 'Directory');
+
+      /**
+       * Directory holding the cache files
+       * @type {string}
+       */
+      this.directory = directory;
     }
 
     /**
-     * Asynchronous post-processing phase
-     * @param {Object} shared - Shared context object
-     * @param {*} prepRes - Result from the prepAsync phase
-     * @param {*} execRes - Result from the execAsync phase
-     * @returns {Promise<*>} Promise resolving to final result
+     * Returns the file holding the entry for a key
+     * @param {string} key - Cache key
+     * @returns {string} File path
+     * @private
      */
-    async postAsync(shared, prepRes, execRes) {
-      return execRes;
+    _file(key) {
+      return nodeModules('FileCacheStore').path.join(this.directory, `${encodeURIComponent(key)}.json`);
     }
 
     /**
-     * Internal asynchronous execution method with retry logic
-     * @param {*} prepRes - Result from the prepAsync phase
-     * @returns {Promise<*>} Promise resolving to execution result
-     * @protected
+     * Reads the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Promise resolving to the entry, or null if there is none
      */
-    async _exec(prepRes) {
-      for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry++) {
-        try {
-          return await this.execAsync(prepRes);
-        } catch (e) {
-          if (this.curRetry === this.maxRetries - 1) {
-            return await this.execFallbackAsync(prepRes, e);
-          }
-
-          if (this.wait > 0) {
-            await new Promise(resolve => setTimeout(resolve, this.wait * 1000));
-          }
-        }
+    async get(key) {
+      const { fs } = nodeModules('FileCacheStore');
+      try {
+        return JSON.parse(await fs.readFile(this._file(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
       }
     }
 
     /**
-     * Asynchronously executes this node
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to execution result
+     * Stores an entry, replacing the file atomically
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-compatible entry
+     * @returns {Promise<void>} Promise resolving once the entry is written
      */
-    async runAsync(shared) {
-      if (Object.keys(this.successors).length > 0) {
-        warnings.warn("Node won't run successors. Use AsyncFlow.");
-      }
-      return await this._runAsync(shared);
+    async set(key, entry) {
+      const { fs } = nodeModules('FileCacheStore');
+      const file = this._file(key);
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(entry));
+      await fs.rename(`${file}.tmp`, file);
     }
 
     /**
-     * Internal asynchronous run method
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to execution result
-     * @protected
+     * Removes the entry stored under a key
+     * @param {string} key - Cache key
+     * @returns {Promise<void>} Promise resolving once the file is removed
      */
-    async _runAsync(shared) {
-      const p_res = await this.prepAsync(shared);
-      const e_res = await this._exec(p_res); // _exec internally calls execAsync
-      const post_res = await this.postAsync(shared, p_res, e_res);
-      return post_res;
+    async delete(key) {
+      const { fs } = nodeModules('FileCacheStore');
+      try {
+        await fs.unlink(this._file(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
     }
 
     /**
-     * Overridden to prevent synchronous execution
-     * @throws {Error} Always throws an error
-     * @protected
+     * Removes every cache file of the directory
+     * @returns {Promise<void>} Promise resolving once the files are removed
      */
-    _run(shared) {
-      throw new Error("AsyncNode cannot be run synchronously. Use runAsync().");
+    async clear() {
+      const { fs, path } = nodeModules('FileCacheStore');
+      let files;
+      try {
+        files = await fs.readdir(this.directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      await Promise.all(files.filter(file => file.endsWith('.json')).map(file => fs.unlink(path.join(this.directory, file))));
     }
   }
 
   /**
-   * Utility for implementing mixin pattern
-   * @param {Function} derivedCtor - Derived class constructor
-   * @param {Function[]} baseCtors - Base class constructors to mix in
+   * Format version written into every cassette
+   * @type {number}
    * @private
    */
-  function applyMixins(derivedCtor, baseCtors) {
-    baseCtors.forEach(baseCtor => {
-      Object.getOwnPropertyNames(baseCtor.prototype).forEach(name => {
-        // Only add if the method doesn't already exist on the derived prototype
-        if (name !== 'constructor' && !Object.prototype.hasOwnProperty.call(derivedCtor.prototype, name)) {
-          Object.defineProperty(
-            derivedCtor.prototype,
-            name,
-            Object.getOwnPropertyDescriptor(baseCtor.prototype, name)
-          );
-        }
-      });
-    });
-  }
+  const cassetteVersion = 1;
 
   /**
-   * Asynchronous node that processes items in a batch (sequentially)
-   * @class
-   * @extends AsyncNode
+   * Tells whether a run replays a cassette, in which case retries do not wait
+   * @param {Object} ctx - Run context
+   * @returns {boolean} True if the run replays a cassette
+   * @private
    */
-  class AsyncBatchNode extends AsyncNode {
-    /**
-     * Creates a new AsyncBatchNode instance
-     * @param {number} [maxRetries=1] - Maximum number of retry attempts
-     * @param {number} [wait=0] - Wait time between retries (seconds)
-     */
-    constructor(maxRetries = 1, wait = 0) {
-      super(maxRetries, wait);
+  function replaying(ctx) {
+    return Boolean(ctx.cassette && ctx.cassette.mode === 'replay');
+  }
 
-      /**
-       * BatchNode implementation for delegation
-       * @type {BatchNode}
-       * @private
-       */
-      this._batchImpl = new BatchNode(maxRetries, wait);
+  /**
+   * Encodes an error thrown by exec for a cassette, keeping its class name, name, message and
+   * primitive fields such as `status`
+   * @param {*} error - The thrown value
+   * @returns {Object} JSON-compatible description of the error
+   * @private
+   */
+  function recordError(error) {
+    const data = { name: (error && error.name) || 'Error', message: error && error.message !== undefined ? String(error.message) : String(error) };
+    if (error instanceof Error && error.constructor.name) data.className = error.constructor.name;
+    if (error !== null && typeof error === 'object') {
+      const fields = {};
+      Object.keys(error).forEach(key => {
+        const value = error[key];
+        if (key !== 'name' && key !== 'message' && (value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+          fields[key] = value;
+        }
+      });
+      if (Object.keys(fields).length > 0) data.fields = fields;
     }
+    return data;
+  }
 
-    /**
-     * Internal asynchronous execution method that processes each item sequentially
-     * @param {Array} items - Items to process
-     * @returns {Promise<Array>} Promise resolving to array of execution results
-     * @protected
-     */
-    async _exec(items) {
-      if (!items) return [];
-
-      if (!Array.isArray(items)) {
-        warnings.warn("AsyncBatchNode expected an array but received " + typeof items);
-        return [await super._exec(items)];
-      }
+  /**
+   * Recreates an error recorded by recordError(). Errors of the built-in and framework classes get
+   * their class back, without running its constructor; other errors become plain Errors.
+   * Only the recorded fields are restored, so fields holding objects (such as BatchError.outcomes) are missing.
+   * @param {Object} data - Recorded error
+   * @returns {Error} The error to throw
+   * @private
+   */
+  function replayError(data) {
+    const errorClasses = {
+      Error, TypeError, RangeError, ReferenceError, SyntaxError, EvalError, URIError,
+      CancellationError, TimeoutError, LimitExceededError, CompensationError, BatchError,
+      ContractError, StateConflictError, ValidationError, DefinitionError, CassetteError
+    };
+    const className = data.className !== undefined ? data.className : data.name;
+    const type = Object.prototype.hasOwnProperty.call(errorClasses, className) ? errorClasses[className] : Error;
 
-      const results = [];
-      for (const item of items) {
-        results.push(await super._exec(item));
-      }
-      return results;
-    }
+    const error = Reflect.construct(Error, [data.message], type);
+    error.name = data.name;
+    Object.assign(error, data.fields || {});
+    return error;
   }
 
   /**
-   * Asynchronous node that processes items in a batch (in parallel)
+   * Error raised when a replayed run diverges from its cassette
    * @class
-   * @extends AsyncNode
+   * @extends Error
    */
-  class AsyncParallelBatchNode extends AsyncNode {
+  class CassetteError extends Error {
     /**
-     * Internal asynchronous execution method that processes all items in parallel
-     * @param {Array} items - Items to process
-     * @returns {Promise<Array>} Promise resolving to array of execution results
-     * @protected
+     * Creates a new CassetteError
+     * @param {string} message - What diverged
+     * @param {string|null} [node=null] - Name of the node whose call diverged, if any
      */
-    async _exec(items) {
-      if (!items) return [];
+    constructor(message, node = null) {
+      super(message);
+      this.name = 'CassetteError';
 
-      if (!Array.isArray(items)) {
-        warnings.warn("AsyncParallelBatchNode expected an array but received " + typeof items);
-        return [await super._exec(items)];
-      }
-
-      return await Promise.all(items.map(item => super._exec(item)));
+      /**
+       * Name of the node whose call diverged, if any
+       * @type {string|null}
+       */
+      this.node = node;
     }
   }
 
   /**
-   * Asynchronous flow orchestrator
+   * Records the exec/execAsync calls of a run, or replays them without calling exec.
+   * Calls are identified by the node's label, its prep result and the call order among
+   * calls with the same node and prep result, so parallel items replay in any order.
    * @class
-   * @extends Flow
-   * @mixes AsyncNode
    */
-  class AsyncFlow extends Flow {
+  class Cassette {
     /**
-     * Creates a new AsyncFlow instance
-     * @param {BaseNode} [startNode=null] - The starting node
+     * Creates a new Cassette instance
+     * @param {Object} [options={}] - Cassette options
+     * @param {string} [options.mode='record'] - 'record' to capture calls, 'replay' to play them back
+     * @param {Array<Object>} [options.calls=[]] - Recorded calls, e.g. from a saved cassette
+     * @param {Function} [options.redact] - Maps a prep result and node to what is recorded and matched
+     *   in its place, e.g. to leave out API keys
+     * @throws {TypeError} If the options are invalid
      */
-    constructor(startNode = null) {
-      super(startNode);
+    constructor(options = {}) {
+      const { mode = 'record', calls = [], redact = null } = options;
+      if (mode !== 'record' && mode !== 'replay') {
+        throw new TypeError("Cassette mode must be 'record' or 'replay'");
+      }
+      if (!Array.isArray(calls)) {
+        throw new TypeError('Cassette calls must be an array');
+      }
+      if (redact !== null && typeof redact !== 'function') {
+        throw new TypeError('Cassette redact must be a function');
+      }
 
       /**
-       * Current retry attempt (set during execution)
-       * @type {number}
+       * 'record' or 'replay'
+       * @type {string}
        */
-      this.curRetry = 0;
+      this.mode = mode;
 
       /**
-       * Maximum number of retry attempts
-       * @type {number}
+       * Recorded calls ({node, input, seq} and one of output, error or interrupt)
+       * @type {Array<Object>}
        */
-      this.maxRetries = 1;
+      this.calls = calls;
 
       /**
-       * Wait time between retries (seconds)
-       * @type {number}
+       * Maps a prep result and node to what is recorded and matched in its place
+       * @type {Function|null}
        */
-      this.wait = 0;
+      this.redact = redact;
+
+      /**
+       * Number of calls made so far per node and input
+       * @type {Map<string, number>}
+       * @private
+       */
+      this._counts = new Map();
+
+      /**
+       * Indexes of the calls replayed so far
+       * @type {Set<number>}
+       * @private
+       */
+      this._played = new Set();
+
+      // Recording onto a loaded cassette continues its call order
+      if (mode === 'record') {
+        calls.forEach(call => {
+          const id = `${call.node}\u0000${canonicalJSON(call.input)}`;
+          this._counts.set(id, Math.max(this._counts.get(id) || 0, call.seq + 1));
+        });
+      }
     }
 
     /**
-     * Asynchronous preparation phase
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to preparation result
+     * Identifies one exec call
+     * @param {BaseNode} node - The node, as built into the flow
+     * @param {*} prepRes - The prep result passed to exec
+     * @returns {{node: string, input: *, canonical: string, seq: number}} The call's identity
+     * @private
      */
-    async prepAsync(shared) {
-      return null;
+    _identify(node, prepRes) {
+      const label = nodeLabel(node);
+      const input = serialize(this.redact ? this.redact(prepRes, node) : prepRes);
+      const canonical = canonicalJSON(input);
+      const id = `${label}\u0000${canonical}`;
+      const seq = this._counts.get(id) || 0;
+      this._counts.set(id, seq + 1);
+      return { node: label, input, canonical, seq };
     }
 
     /**
-     * Asynchronous post-processing phase
-     * @param {Object} shared - Shared context object
-     * @param {*} prepRes - Result from the prepAsync phase
-     * @param {*} execRes - Result from execution
-     * @returns {Promise<*>} Promise resolving to final result
+     * Plays back the recorded outcome of a call
+     * @param {Object} call - Identity of the call
+     * @param {BaseNode} running - The running copy of the node
+     * @returns {*} The recorded output
+     * @throws {CassetteError} If the cassette has no recording of the call
+     * @throws {Error} The recorded error, if the call threw
+     * @throws {Interrupt} If the call suspended the run when it was recorded
+     * @private
      */
-    async postAsync(shared, prepRes, execRes) {
-      return execRes;
+    _replay(call, running) {
+      const find = seq => this.calls.findIndex((recorded, index) =>
+        !this._played.has(index) && recorded.node === call.node && recorded.seq === seq &&
+        canonicalJSON(recorded.input) === call.canonical);
+
+      let index = find(call.seq);
+      // A resumed node receives its input instead of suspending again
+      while (index !== -1 && running._resumeInput && this.calls[index].interrupt !== undefined) {
+        this._played.add(index);
+        index = find(this.calls[index].seq + 1);
+      }
+      if (index === -1) {
+        const recorded = this.calls.filter(c => c.node === call.node).length;
+        throw new CassetteError(
+          `Replay diverged: ${call.node} was called with ${call.seq === 0 ? 'an input' : 'an input for the ' + (call.seq + 1) + '. time'} ` +
+          `the cassette has no recording of (${recorded} recorded calls of ${call.node}). Input: ${call.canonical}`,
+          call.node
+        );
+      }
+
+      this._played.add(index);
+      const recorded = this.calls[index];
+      if (recorded.error) throw replayError(recorded.error);
+      if (recorded.interrupt !== undefined) throw new Interrupt(running, deserialize(recorded.interrupt));
+      return deserialize(recorded.output);
     }
 
     /**
-     * Asynchronously orchestrates node execution through the flow
-     * @param {Object} shared - Shared context object
-     * @param {Object} [params=null] - Parameters to pass to nodes
-     * @returns {Promise<*>} Promise resolving to final execution result
-     * @protected
+     * Records the outcome of a call
+     * @param {Object} call - Identity of the call
+     * @param {Object} outcome - {output}, {error} or {interrupt}
+     * @private
      */
-    async _orchestrateAsync(shared, params = null) {
-      if (!this.startNode) {
-        warnings.warn("AsyncFlow has no start node");
-        return null;
-      }
-
-      let curr = this.startNode;
-      let p = params || { ...this.params };
-      let lastAction = null;
+    _record(call, outcome) {
+      this.calls.push({ node: call.node, input: call.input, seq: call.seq, ...outcome });
+    }
 
-      while (curr) {
-        // Create a shallow copy of the current node to avoid side effects
-        const currentNode = shallowCopy(curr);
-        currentNode.setParams(p);
+    /**
+     * Records or replays an error thrown by exec; cancellations and run timeouts are not part of the recording
+     * @param {Object} call - Identity of the call
+     * @param {*} error - The thrown value
+     * @private
+     */
+    _recordFailure(call, error) {
+      if (error instanceof CancellationError || (error instanceof TimeoutError && error.scope === 'run')) return;
+      if (error instanceof Interrupt) this._record(call, { interrupt: serialize(error.payload) });
+      else this._record(call, { error: recordError(error) });
+    }
 
-        if (currentNode instanceof AsyncNode) {
-          lastAction = await currentNode._runAsync(shared);
-        } else {
-          lastAction = currentNode._run(shared);
-        }
+    /**
+     * Runs or replays a synchronous exec call
+     * @param {BaseNode} node - The node, as built into the flow
+     * @param {BaseNode} running - The running copy of the node
+     * @param {*} prepRes - The prep result passed to exec
+     * @param {Function} call - Calls exec
+     * @returns {*} The exec result
+     * @private
+     */
+    _execSync(node, running, prepRes, call) {
+      const identity = this._identify(node, prepRes);
+      if (this.mode === 'replay') return this._replay(identity, running);
 
-        curr = this.getNextNode(curr, lastAction);
+      try {
+        const output = call();
+        this._record(identity, { output: serialize(output) });
+        return output;
+      } catch (error) {
+        this._recordFailure(identity, error);
+        throw error;
       }
-
-      return lastAction;
     }
 
     /**
-     * Internal asynchronous run method
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to execution result
-     * @protected
+     * Runs or replays an asynchronous exec call
+     * @param {BaseNode} node - The node, as built into the flow
+     * @param {BaseNode} running - The running copy of the node
+     * @param {*} prepRes - The prep result passed to execAsync
+     * @param {Function} call - Runs one attempt of execAsync
+     * @returns {Promise<*>} Promise resolving to the exec result
+     * @private
      */
-    async _runAsync(shared) {
-      const p = await this.prepAsync(shared);
-      const o = await this._orchestrateAsync(shared);
-      return await this.postAsync(shared, p, o);
+    async _execAsync(node, running, prepRes, call) {
+      const identity = this._identify(node, prepRes);
+      if (this.mode === 'replay') return this._replay(identity, running);
+
+      try {
+        const output = await call();
+        this._record(identity, { output: serialize(output) });
+        return output;
+      } catch (error) {
+        this._recordFailure(identity, error);
+        throw error;
+      }
     }
 
     /**
-     * Asynchronously executes this flow
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to execution result
+     * Lists the recorded calls that have not been replayed
+     * @returns {Array<Object>} The calls, in recording order
      */
-    async runAsync(shared) {
-      return await this._runAsync(shared);
+    unplayed() {
+      return this.calls.filter((call, index) => !this._played.has(index));
     }
-  }
 
-  /**
-   * Asynchronous flow that processes multiple parameter sets (sequentially)
-   * @class
-   * @extends AsyncFlow
-   */
-  class AsyncBatchFlow extends AsyncFlow {
     /**
-     * Internal asynchronous run method that processes each parameter set sequentially
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to batch execution result
-     * @protected
+     * Checks that a replay made every recorded call. Replayed runs call it when they finish.
+     * @throws {CassetteError} If recorded calls were not replayed
      */
-    async _runAsync(shared) {
-      const pr = await this.prepAsync(shared) || [];
-
-      if (!Array.isArray(pr)) {
-        warnings.warn("AsyncBatchFlow expected an array from prepAsync() but received " + typeof pr);
-        return await this.postAsync(shared, pr, null);
-      }
-
-      for (const bp of pr) {
-        await this._orchestrateAsync(shared, { ...this.params, ...bp });
+    assertFinished() {
+      const left = this.unplayed();
+      if (left.length > 0) {
+        const nodes = [...new Set(left.map(call => call.node))].join(', ');
+        throw new CassetteError(`Replay diverged: the run finished with ${left.length} recorded calls left over (${nodes})`, left[0].node);
       }
+    }
 
-      return await this.postAsync(shared, pr, null);
+    /**
+     * Starts the replay or the call order over, e.g. to replay the cassette again
+     */
+    rewind() {
+      this._played.clear();
+      this._counts.clear();
     }
-  }
 
-  /**
-   * Asynchronous flow that processes multiple parameter sets (in parallel)
-   * @class
-   * @extends AsyncFlow
-   */
-  class AsyncParallelBatchFlow extends AsyncFlow {
     /**
-     * Internal asynchronous run method that processes all parameter sets in parallel
-     * @param {Object} shared - Shared context object
-     * @returns {Promise<*>} Promise resolving to batch execution result
-     * @protected
+     * Returns the cassette as JSON-compatible data
+     * @returns {{version: number, calls: Array<Object>}} Cassette data
      */
-    async _runAsync(shared) {
-      const pr = await this.prepAsync(shared) || [];
+    toJSON() {
+      return { version: cassetteVersion, calls: this.calls };
+    }
 
-      if (!Array.isArray(pr)) {
-        warnings.warn("AsyncParallelBatchFlow expected an array from prepAsync() but received " + typeof pr);
-        return await this.postAsync(shared, pr, null);
+    /**
+     * Creates a cassette from data returned by toJSON()
+     * @param {Object} data - Cassette data
+     * @param {Object} [options={}] - Cassette options other than calls
+     * @returns {Cassette} The cassette
+     * @throws {TypeError} If the data is not a cassette
+     */
+    static fromJSON(data, options = {}) {
+      if (!isPlainObject(data) || data.version !== cassetteVersion || !Array.isArray(data.calls)) {
+        throw new TypeError('Cassette data must be an object written by Cassette.toJSON()');
       }
+      return new Cassette({ ...options, calls: data.calls });
+    }
 
-      await Promise.all(pr.map(bp =>
-        this._orchestrateAsync(shared, { ...this.params, ...bp })
-      ));
+    /**
+     * Writes the cassette to a JSON file, replacing it atomically. Works only in Node.js.
+     * @param {string} file - Path of the file
+     * @returns {Promise<void>} Promise resolving once the file is written
+     */
+    async save(file) {
+      typeChecks.validateString(file, 'File');
+      const { fs, path } = nodeModules('Cassette.save');
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(this.toJSON(), null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    }
 
-      return await this.postAsync(shared, pr, null);
+    /**
+     * Reads a cassette from a JSON file written by save(). Works only in Node.js.
+     * @param {string} file - Path of the file
+     * @param {Object} [options={}] - Cassette options other than calls
+     * @returns {Promise<Cassette>} Promise resolving to the cassette
+     */
+    static async load(file, options = {}) {
+      typeChecks.validateString(file, 'File');
+      const { fs } = nodeModules('Cassette.load');
+      return Cassette.fromJSON(JSON.parse(await fs.readFile(file, 'utf8')), options);
     }
   }
 
@@ -919,7 +7346,48 @@ const FlowFramework = (function () {
     AsyncFlow,
     AsyncBatchFlow,
     AsyncParallelBatchFlow,
+    ParallelNode,
+    SubFlow,
     ConditionalTransition,
+    CancellationError,
+    TimeoutError,
+    BatchError,
+    StateConflictError,
+    RetryPolicy,
+    FixedRetryPolicy,
+    ExponentialRetryPolicy,
+    LimitExceededError,
+    Interrupt,
+    CompensationError,
+    Cassette,
+    CassetteError,
+    CacheStore,
+    MemoryCacheStore,
+    LocalStorageCacheStore,
+    IndexedDBCacheStore,
+    FileCacheStore,
+    CheckpointStore,
+    MemoryCheckpointStore,
+    LocalStorageCheckpointStore,
+    FileCheckpointStore,
+    EventEmitter,
+    Tracer,
+    NodeRegistry,
+    DefinitionError,
+    ValidationError,
+    ContractError,
+
+    /**
+     * Default registry used by Flow.fromDefinition and flow.toDefinition
+     * @type {NodeRegistry}
+     */
+    registry: defaultRegistry,
+
+    /**
+     * Default emitter receiving the lifecycle events of every run
+     * @type {EventEmitter}
+     */
+    events: globalEvents,
 
     /**
      * Utility functions
@@ -941,9 +7409,46 @@ const FlowFramework = (function () {
        * @param {*} obj - Object to copy
        * @returns {*} Deep copy of the object
        */
-      deepCopy: deepCopy
+      deepCopy: deepCopy,
+
+      /**
+       * Encode a value as JSON-compatible data, preserving Map, Set, Date and RegExp
+       * @param {*} value - Value to encode
+       * @returns {*} JSON-compatible data
+       */
+      serialize: serialize,
+
+      /**
+       * Decode data produced by serialize()
+       * @param {*} data - JSON-compatible data
+       * @returns {*} Decoded value
+       */
+      deserialize: deserialize,
+
+      /**
+       * Compute a stable hash of a value's content, as used for cache keys
+       * @param {*} value - Value to hash
+       * @returns {string} 16 hexadecimal digits
+       */
+      stableHash: stableHash,
+
+      /**
+       * Return a readable label for a node: its name, its id or its class name
+       * @param {BaseNode|null} node - The node to label
+       * @returns {string|null} Node label
+       */
+      nodeLabel: nodeLabel,
+
+      /**
+       * Wait for a number of milliseconds, rejecting with a CancellationError or TimeoutError if the signal aborts
+       * @param {number} ms - Milliseconds to wait
+       * @param {AbortSignal|null} [signal=null] - Signal that interrupts the wait
+       * @returns {Promise<void>} Promise resolving once the wait is over
+       */
+      sleep: sleep
     },
 
+
     /**
      * Framework version
      * @type {string}